@@ -0,0 +1,51 @@
+require("dotenv").config();
+
+// A small adapter layer so the practice routes, seeders and exercise checks
+// run unchanged on MySQL or PostgreSQL. Pick the engine with DB_DIALECT
+// (mysql by default); "pglite" runs PostgreSQL in-process with no server,
+// starting from the employees and students tables (see db/pglite.js).
+// Every adapter exposes:
+//
+//   dialect                  "mysql" or "postgres" (pglite too)
+//   placeholder(n)           the n-th (1-based) bind parameter: ? or $n
+//   quoteIdentifier(name)    `name` or "name"
+//   query(sql, params)       -> { rows, columns, rowCount }
+//   batchInsert(table, columns, rows)  multi-row INSERTs, returns the row count
+//   transaction(fn)          runs fn(tx) on one connection, where tx has
+//                            query and batchInsert; commits unless fn throws
+//   describeTable(table)     the table's columns, see below
+//   readOnlyQuery(sql, { maxRows, timeoutMs })
+//                            runs one untrusted statement in a read-only
+//                            transaction under a statement timeout, fetching
+//                            at most maxRows + 1 rows where the engine can
+//                            -> { columns: [{ name, type }], rows (arrays),
+//                                 truncated, durationMs }
+//                            PGlite, which can't time it out, throws a 501
+//                            error instead (see db/pglite.js)
+//   close()
+//
+// describeTable normalizes each engine's information_schema into
+// { name, type, columnType, maxLength, precision, scale, integerMax,
+//   nullable, hasDefault, generated, enumValues, referencedTable,
+//   referencedColumn }, where `type` is one of integer, decimal, float,
+// boolean, date, datetime, time, year, enum, string, json or other, and
+// `generated` marks auto-increment, identity and generated columns.
+
+const DIALECTS = {
+  mysql: require("./mysql"),
+  postgres: require("./postgres"),
+  pglite: require("./pglite"),
+};
+
+function createDatabase(dialect = process.env.DB_DIALECT || "mysql") {
+  if (!Object.hasOwn(DIALECTS, dialect)) {
+    throw new Error(
+      `DB_DIALECT must be one of ${Object.keys(DIALECTS).join(
+        ", "
+      )}, got "${dialect}"`
+    );
+  }
+  return DIALECTS[dialect].create();
+}
+
+module.exports = { createDatabase };
@@ -0,0 +1,213 @@
+const mysql = require("mysql2/promise");
+// Column type codes to names, e.g. 246 -> NEWDECIMAL
+const { Types } = require("mysql2");
+const { withSharedMethods } = require("./shared");
+
+// admin:admin@supreme-space-computing-machine-p6pvqw6p9wqcv64-3306.app.github.dev:3306
+
+// MySQL connection config, matching docker-compose.yml
+const CONNECTION = {
+  host: "127.0.0.1",
+  user: "admin",
+  password: "admin",
+  database: "mydb",
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0,
+};
+
+const INTEGER_MAX = {
+  tinyint: 127,
+  smallint: 32767,
+  mediumint: 8388607,
+  int: 2147483647,
+  bigint: Number.MAX_SAFE_INTEGER,
+};
+
+function quoteIdentifier(name) {
+  return "`" + String(name).replace(/`/g, "``") + "`";
+}
+
+// `connection` is the pool or a single checked-out connection
+function session(connection) {
+  return withSharedMethods({
+    dialect: "mysql",
+    placeholder: () => "?",
+    quoteIdentifier,
+
+    async query(sql, params = []) {
+      const [result, fields] = await connection.query(sql, params);
+      // INSERT/UPDATE/DELETE resolve with a ResultSetHeader instead of rows
+      if (!Array.isArray(result)) {
+        return { rows: [], columns: [], rowCount: result.affectedRows };
+      }
+      return {
+        rows: result,
+        columns: fields.map((field) => field.name),
+        rowCount: result.length,
+      };
+    },
+  });
+}
+
+function normalizeType(column) {
+  const dataType = column.dataType.toLowerCase();
+  if (dataType === "tinyint" && column.columnType.startsWith("tinyint(1)")) {
+    return { type: "boolean" };
+  }
+  if (INTEGER_MAX[dataType]) {
+    const max = INTEGER_MAX[dataType];
+    const unsigned = /unsigned/.test(column.columnType);
+    return {
+      type: "integer",
+      integerMax: unsigned
+        ? Math.min(max * 2 + 1, Number.MAX_SAFE_INTEGER)
+        : max,
+    };
+  }
+  if (dataType === "enum" || dataType === "set") {
+    // COLUMN_TYPE is e.g. enum('active','inactive'); quotes are doubled
+    const enumValues = [...column.columnType.matchAll(/'((?:[^']|'')*)'/g)].map(
+      ([, value]) => value.replace(/''/g, "'")
+    );
+    return { type: "enum", enumValues };
+  }
+
+  const types = {
+    decimal: "decimal",
+    numeric: "decimal",
+    float: "float",
+    double: "float",
+    bit: "boolean",
+    date: "date",
+    datetime: "datetime",
+    timestamp: "datetime",
+    time: "time",
+    year: "year",
+    char: "string",
+    varchar: "string",
+    tinytext: "string",
+    text: "string",
+    mediumtext: "string",
+    longtext: "string",
+    json: "json",
+  };
+  return { type: types[dataType] ?? "other" };
+}
+
+async function describeTable(pool, table) {
+  const [rows] = await pool.query(
+    `
+      SELECT
+        c.COLUMN_NAME AS name,
+        c.DATA_TYPE AS dataType,
+        c.COLUMN_TYPE AS columnType,
+        c.CHARACTER_MAXIMUM_LENGTH AS maxLength,
+        c.NUMERIC_PRECISION AS \`precision\`,
+        c.NUMERIC_SCALE AS scale,
+        c.IS_NULLABLE = 'YES' AS nullable,
+        c.COLUMN_DEFAULT IS NOT NULL AS hasDefault,
+        c.EXTRA AS extra,
+        k.REFERENCED_TABLE_NAME AS referencedTable,
+        k.REFERENCED_COLUMN_NAME AS referencedColumn
+      FROM information_schema.COLUMNS c
+      LEFT JOIN information_schema.KEY_COLUMN_USAGE k
+        ON k.TABLE_SCHEMA = c.TABLE_SCHEMA
+        AND k.TABLE_NAME = c.TABLE_NAME
+        AND k.COLUMN_NAME = c.COLUMN_NAME
+        AND k.REFERENCED_TABLE_NAME IS NOT NULL
+      WHERE c.TABLE_SCHEMA = DATABASE() AND c.TABLE_NAME = ?
+      ORDER BY c.ORDINAL_POSITION
+    `,
+    [table]
+  );
+
+  return rows.map((row) => ({
+    name: row.name,
+    columnType: row.columnType,
+    maxLength: row.maxLength === null ? null : Number(row.maxLength),
+    precision: row.precision === null ? null : Number(row.precision),
+    scale: row.scale === null ? null : Number(row.scale),
+    integerMax: null,
+    enumValues: null,
+    ...normalizeType(row),
+    nullable: Boolean(row.nullable),
+    hasDefault: Boolean(row.hasDefault),
+    generated: /auto_increment|VIRTUAL GENERATED|STORED GENERATED/.test(
+      row.extra
+    ),
+    referencedTable: row.referencedTable,
+    referencedColumn: row.referencedColumn,
+  }));
+}
+
+async function readOnlyQuery(pool, sql, { maxRows, timeoutMs }) {
+  const connection = await pool.getConnection();
+  try {
+    // A READ ONLY transaction doesn't stop DDL: MySQL commits the
+    // transaction and runs the DDL outside it. A read-only session does, as
+    // every transaction it starts is read-only too. (The callers only let
+    // queries through anyway; see isQuery in sql.js.) max_execution_time
+    // stops only SELECTs, and sql_select_limit caps SELECTs without a LIMIT.
+    await connection.query(
+      `SET SESSION transaction_read_only = ON, max_execution_time = ?,
+        sql_select_limit = ?`,
+      [timeoutMs, maxRows + 1]
+    );
+    await connection.query("START TRANSACTION READ ONLY");
+
+    const started = performance.now();
+    const [result, fields] = await connection.query({
+      sql,
+      rowsAsArray: true,
+    });
+    const durationMs = performance.now() - started;
+
+    // SET and the like resolve with a ResultSetHeader instead of rows
+    const rows = Array.isArray(result) ? result : [];
+    return {
+      columns: (fields ?? []).map((field) => ({
+        name: field.name,
+        type: Types[field.type] ?? String(field.type),
+      })),
+      rows: rows.slice(0, maxRows),
+      truncated: rows.length > maxRows,
+      durationMs,
+    };
+  } finally {
+    await connection.query("ROLLBACK").catch(() => {});
+    // Session state outlives the rollback: the settings above and whatever the
+    // statement set (autocommit, sql_mode, SET NAMES, USE ...). Rather than
+    // hand that to the next /seed or exercise check, drop the connection.
+    connection.destroy();
+  }
+}
+
+function create() {
+  const pool = mysql.createPool(CONNECTION);
+
+  return {
+    ...session(pool),
+
+    async transaction(fn) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        const result = await fn(session(connection));
+        await connection.commit();
+        return result;
+      } catch (err) {
+        await connection.rollback().catch(() => {});
+        throw err;
+      } finally {
+        connection.release();
+      }
+    },
+
+    describeTable: (table) => describeTable(pool, table),
+    readOnlyQuery: (sql, limits) => readOnlyQuery(pool, sql, limits),
+    close: () => pool.end(),
+  };
+}
+
+module.exports = { create };
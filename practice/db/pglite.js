@@ -0,0 +1,135 @@
+const { PGlite, types } = require("@electric-sql/pglite");
+const postgres = require("./postgres");
+
+// The lesson tables from 02_Basic_Operations.md, so the routes have
+// something to write to in a fresh database
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS employees (
+    emp_id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    first_name VARCHAR(50) NOT NULL,
+    last_name VARCHAR(50) NOT NULL,
+    department VARCHAR(50),
+    salary DECIMAL(10, 2),
+    hire_date DATE
+  );
+
+  CREATE TABLE IF NOT EXISTS students (
+    student_id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    first_name VARCHAR(50) NOT NULL,
+    last_name VARCHAR(50) NOT NULL,
+    email VARCHAR(100) UNIQUE,
+    age INT,
+    major VARCHAR(50),
+    gpa DECIMAL(3, 2)
+  );
+`;
+
+// pg hands BIGINT (COUNT(*), SUM, ...) back as a string, PGlite as a number
+const PARSERS = { [types.INT8]: (value) => value };
+
+function toPgResult(result) {
+  return {
+    rows: result.rows,
+    fields: result.fields,
+    rowCount:
+      result.fields.length > 0 ? result.rows.length : result.affectedRows ?? 0,
+  };
+}
+
+// A pg.Pool stand-in over PGlite's single session. connect() holds the
+// session until release(), so a transaction never interleaves with other
+// queries; they wait for it instead.
+function createPool(dataDir) {
+  const ready = PGlite.create(dataDir, { parsers: PARSERS });
+
+  let queue = Promise.resolve();
+  const acquire = () => {
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const acquired = queue.then(() => release);
+    queue = queue.then(() => held);
+    return acquired;
+  };
+
+  // Takes pg's query(text, values) or query({ text, values, rowMode,
+  // queryMode }). Without parameters, several statements may run at once,
+  // as with pg, unless queryMode is "extended".
+  const run = async (sql, params = []) => {
+    const {
+      text,
+      values = params,
+      rowMode,
+      queryMode,
+    } = typeof sql === "string" ? { text: sql } : sql;
+    const db = await ready;
+    if (values.length > 0 || queryMode === "extended") {
+      return toPgResult(await db.query(text, values, { rowMode }));
+    }
+    const results = await db.exec(text, { rowMode });
+    return toPgResult(results.at(-1) ?? { rows: [], fields: [] });
+  };
+
+  return {
+    async query(sql, params) {
+      const release = await acquire();
+      try {
+        return await run(sql, params);
+      } finally {
+        release();
+      }
+    },
+
+    async connect() {
+      const release = await acquire();
+      return { query: run, release };
+    },
+
+    async end() {
+      const release = await acquire();
+      try {
+        await (await ready).close();
+      } finally {
+        release();
+      }
+    },
+  };
+}
+
+// What readOnlyQuery throws here; sendError answers with its status
+class UntimedQueryError extends Error {
+  constructor() {
+    super(
+      "Running submitted SQL needs MySQL or PostgreSQL (DB_DIALECT): PGlite can't time out a query, and one that runs long blocks the whole server"
+    );
+    this.name = "UntimedQueryError";
+    this.status = 501;
+  }
+}
+
+// PostgreSQL compiled to WASM and running in this process: no server
+// needed. Data stays in memory unless PGLITE_DATA_DIR names a directory.
+// A query blocks the process while it runs, and statement_timeout has no
+// effect, so readOnlyQuery (POST /query and exercise checks) refuses to run
+// submitted SQL. The tests, whose SQL is their own, pass
+// allowUntimedQueries.
+function create({ allowUntimedQueries = false } = {}) {
+  const pool = createPool(process.env.PGLITE_DATA_DIR || undefined);
+  // Queued first, so every later query sees the tables
+  pool.query(SCHEMA).catch((err) => {
+    console.error("Creating the practice tables failed:", err);
+  });
+  const db = postgres.create(pool);
+  if (allowUntimedQueries) {
+    return db;
+  }
+  return {
+    ...db,
+    async readOnlyQuery() {
+      throw new UntimedQueryError();
+    },
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,35 @@
+// Both engines cap the bind parameters of one statement at 65535
+const MAX_PARAMETERS = 65535;
+
+// Adds the methods built purely on query(), placeholder() and
+// quoteIdentifier() to a dialect's session
+function withSharedMethods(session) {
+  return {
+    ...session,
+
+    async batchInsert(table, columns, rows) {
+      const quotedColumns = columns.map(session.quoteIdentifier).join(", ");
+      const rowsPerStatement = Math.floor(MAX_PARAMETERS / columns.length);
+
+      for (let start = 0; start < rows.length; start += rowsPerStatement) {
+        const batch = rows.slice(start, start + rowsPerStatement);
+        const values = batch.map(
+          (_, row) =>
+            `(${columns
+              .map((_, column) =>
+                session.placeholder(row * columns.length + column + 1)
+              )
+              .join(", ")})`
+        );
+        await session.query(
+          `INSERT INTO ${session.quoteIdentifier(table)} (${quotedColumns})
+          VALUES ${values.join(", ")}`,
+          batch.flat()
+        );
+      }
+      return rows.length;
+    },
+  };
+}
+
+module.exports = { withSharedMethods };
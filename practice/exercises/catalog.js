@@ -0,0 +1,210 @@
+// The exercises served by /exercises. Each one names the lesson it practices,
+// the tables it reads (it is only offered once they exist) and whether the
+// order of the rows counts. Column names don't have to match the solution,
+// only their number and order.
+//
+// The employees and students solutions stick to SQL that MySQL and
+// PostgreSQL both run; the SkillHire ones need the PostgreSQL database from
+// scalable-db-design-ws/skill-hire, migrated and seeded.
+
+const EXERCISES = [
+  {
+    id: "it-employees",
+    title: "Employees in IT",
+    lesson: "02_Basic_Operations.md",
+    tables: ["employees"],
+    ordered: false,
+    prompt:
+      "List the first name, last name and salary of every employee in the IT department.",
+    solution: `
+      SELECT first_name, last_name, salary
+      FROM employees
+      WHERE department = 'IT'
+    `,
+  },
+  {
+    id: "top-salaries",
+    title: "Five highest salaries",
+    lesson: "02_Basic_Operations.md",
+    tables: ["employees"],
+    ordered: true,
+    prompt:
+      "Show emp_id, first_name, last_name and salary of the five best-paid employees, highest salary first and equal salaries by emp_id.",
+    solution: `
+      SELECT emp_id, first_name, last_name, salary
+      FROM employees
+      ORDER BY salary DESC, emp_id
+      LIMIT 5
+    `,
+  },
+  {
+    id: "recent-hires",
+    title: "Latest hires",
+    lesson: "02_Basic_Operations.md",
+    tables: ["employees"],
+    ordered: true,
+    prompt:
+      "List emp_id and hire_date of the 10 most recently hired employees, newest first and the same day by emp_id.",
+    solution: `
+      SELECT emp_id, hire_date
+      FROM employees
+      ORDER BY hire_date DESC, emp_id
+      LIMIT 10
+    `,
+  },
+  {
+    id: "department-headcount",
+    title: "Headcount per department",
+    lesson: "03_Intermediate_SQL.md",
+    tables: ["employees"],
+    ordered: false,
+    prompt: "For each department, show its name and how many employees it has.",
+    solution: `
+      SELECT department, COUNT(*)
+      FROM employees
+      GROUP BY department
+    `,
+  },
+  {
+    id: "department-average-salary",
+    title: "Well-paid departments",
+    lesson: "03_Intermediate_SQL.md",
+    tables: ["employees"],
+    ordered: true,
+    prompt:
+      "Show each department with an average salary above 100000, and that average rounded to 2 decimals. Highest average first, ties by department name.",
+    solution: `
+      SELECT department, ROUND(AVG(salary), 2) AS average_salary
+      FROM employees
+      GROUP BY department
+      HAVING AVG(salary) > 100000
+      ORDER BY average_salary DESC, department
+    `,
+  },
+  {
+    id: "above-average-earners",
+    title: "Above the company average",
+    lesson: "03_Intermediate_SQL.md",
+    tables: ["employees"],
+    ordered: false,
+    prompt:
+      "List emp_id, first_name and salary of the employees who earn more than the average salary across the whole company.",
+    solution: `
+      SELECT emp_id, first_name, salary
+      FROM employees
+      WHERE salary > (SELECT AVG(salary) FROM employees)
+    `,
+  },
+  {
+    id: "honor-roll",
+    title: "Honor roll",
+    lesson: "02_Basic_Operations.md",
+    tables: ["students"],
+    ordered: true,
+    prompt:
+      "Show student_id, first_name, last_name and gpa of the students with a GPA of at least 3.5, best GPA first and equal GPAs by student_id.",
+    solution: `
+      SELECT student_id, first_name, last_name, gpa
+      FROM students
+      WHERE gpa >= 3.5
+      ORDER BY gpa DESC, student_id
+    `,
+  },
+  {
+    id: "majors",
+    title: "Students per major",
+    lesson: "03_Intermediate_SQL.md",
+    tables: ["students"],
+    ordered: false,
+    prompt:
+      "For each major, show the major, how many students take it and the highest GPA among them.",
+    solution: `
+      SELECT major, COUNT(*), MAX(gpa)
+      FROM students
+      GROUP BY major
+    `,
+  },
+  {
+    id: "youngest-per-major",
+    title: "Youngest in each major",
+    lesson: "03_Intermediate_SQL.md",
+    tables: ["students"],
+    ordered: false,
+    prompt:
+      "List student_id, major and age of the students who are the youngest in their major (all of them, when several share the lowest age).",
+    solution: `
+      SELECT s.student_id, s.major, s.age
+      FROM students s
+      WHERE s.age = (
+        SELECT MIN(other.age)
+        FROM students other
+        WHERE other.major = s.major
+      )
+    `,
+  },
+  {
+    id: "open-jobs-per-category",
+    title: "Open jobs per category",
+    lesson: "scalable-db-design-ws/learn-queries/5-joins.sql",
+    tables: ["jobs", "categories"],
+    ordered: false,
+    prompt:
+      "For each category with at least one open job, show the category name and its number of open jobs. Join jobs to categories rather than reading jobs.category_name.",
+    solution: `
+      SELECT c.name, COUNT(*)
+      FROM jobs j
+      JOIN categories c ON c.id = j.category_id
+      WHERE j.status = 'open'
+      GROUP BY c.id, c.name
+    `,
+  },
+  {
+    id: "top-rated-freelancers",
+    title: "Top-rated freelancers",
+    lesson: "scalable-db-design-ws/learn-queries/5-joins.sql",
+    tables: ["users", "freelancer_profiles"],
+    ordered: true,
+    prompt:
+      "Show id, name and average_rating of the 10 freelancers with the best average rating, best first and equal ratings by id.",
+    solution: `
+      SELECT fp.id, fp.name, u.average_rating
+      FROM freelancer_profiles fp
+      JOIN users u ON u.id = fp.id
+      ORDER BY u.average_rating DESC, fp.id
+      LIMIT 10
+    `,
+  },
+  {
+    id: "jobs-without-applications",
+    title: "Open jobs nobody applied to",
+    lesson: "scalable-db-design-ws/learn-queries/6-sub-query-cte.sql",
+    tables: ["jobs", "applications"],
+    ordered: false,
+    prompt:
+      "List id and title of the open jobs without a single application. Use the applications table, not jobs.applications_count.",
+    solution: `
+      SELECT j.id, j.title
+      FROM jobs j
+      WHERE j.status = 'open'
+        AND NOT EXISTS (SELECT 1 FROM applications a WHERE a.job_id = j.id)
+    `,
+  },
+  {
+    id: "client-spending",
+    title: "What each client spent",
+    lesson: "scalable-db-design-ws/learn-queries/6-sub-query-cte.sql",
+    tables: ["jobs", "projects"],
+    ordered: false,
+    prompt:
+      "For each client with at least one completed project, show the client id and the total_amount of their completed projects added up.",
+    solution: `
+      SELECT j.client_id, SUM(p.total_amount)
+      FROM projects p
+      JOIN jobs j ON j.id = p.job_id
+      WHERE p.status = 'completed'
+      GROUP BY j.client_id
+    `,
+  },
+];
+
+module.exports = { EXERCISES };
@@ -0,0 +1,264 @@
+const { isQuery, leadingKeyword, splitStatements } = require("../sql");
+const { EXERCISES } = require("./catalog");
+
+// Rows of each kind shown in a mismatch's diff
+const DIFF_LIMIT = 10;
+// How long the solution and the submission may each run, as in POST /query
+const TIMEOUT_MS = 5000;
+// The most rows either may return; past that a check would hold more in
+// memory than this server should for one request
+const MAX_ROWS = 10000;
+
+class ExerciseError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ExerciseError";
+    this.status = status;
+  }
+}
+
+function findExercise(id) {
+  const exercise = EXERCISES.find((candidate) => candidate.id === id);
+  if (!exercise) {
+    throw new ExerciseError(404, `Exercise "${id}" does not exist`);
+  }
+  return exercise;
+}
+
+async function missingTables(db, exercise) {
+  const missing = [];
+  for (const table of exercise.tables) {
+    if ((await db.describeTable(table)).length === 0) {
+      missing.push(table);
+    }
+  }
+  return missing;
+}
+
+// Everything but the solution
+function summary(exercise) {
+  const { solution, ...rest } = exercise;
+  return rest;
+}
+
+// The catalog, with whether this database has the tables for each exercise
+async function listExercises(db) {
+  const exercises = [];
+  for (const exercise of EXERCISES) {
+    exercises.push({
+      ...summary(exercise),
+      available: (await missingTables(db, exercise)).length === 0,
+    });
+  }
+  return exercises;
+}
+
+function getExercise(id) {
+  return summary(findExercise(id));
+}
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+// One form per value, so the drivers' and engines' differing types compare
+// equal: DECIMAL and BIGINT arrive as strings, 2.50 equals 2.5, dates
+// become ISO strings and JSON its text
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "number" || typeof value === "bigint") {
+    return Number(Number(value).toFixed(6));
+  }
+  if (typeof value === "string" && NUMERIC.test(value)) {
+    return Number(Number(value).toFixed(6));
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString("hex");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function normalizeRows(result) {
+  return result.rows.map((row) => row.map(normalizeValue));
+}
+
+const rowKey = (row) => JSON.stringify(row);
+
+// Rows in one list but not the other, counting duplicates
+function rowDifference(expected, actual) {
+  const remaining = new Map();
+  for (const row of expected) {
+    const key = rowKey(row);
+    remaining.set(key, (remaining.get(key) ?? 0) + 1);
+  }
+
+  const unexpected = [];
+  for (const row of actual) {
+    const key = rowKey(row);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+    } else {
+      unexpected.push(row);
+    }
+  }
+  const missing = expected.filter((row) => {
+    const key = rowKey(row);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      return true;
+    }
+    return false;
+  });
+  return { missing, unexpected };
+}
+
+// `{ correct, message, diff? }` for a submission's rows against the
+// solution's, both db.readOnlyQuery results
+function compareResults(exercise, expected, actual) {
+  if (actual.truncated) {
+    return {
+      correct: false,
+      message: `Your query returned more than ${MAX_ROWS} rows; expected ${expected.rows.length}`,
+    };
+  }
+  if (actual.columns.length === 0) {
+    return { correct: false, message: "Your statement returned no rows" };
+  }
+  if (actual.columns.length !== expected.columns.length) {
+    return {
+      correct: false,
+      message: `Expected ${expected.columns.length} columns, got ${actual.columns.length}`,
+    };
+  }
+
+  const expectedRows = normalizeRows(expected);
+  const actualRows = normalizeRows(actual);
+  const { missing, unexpected } = rowDifference(expectedRows, actualRows);
+  if (missing.length > 0 || unexpected.length > 0) {
+    return {
+      correct: false,
+      message:
+        `Expected ${expectedRows.length} rows, got ${actualRows.length}: ` +
+        `${missing.length} missing, ${unexpected.length} unexpected`,
+      diff: {
+        missing: missing.slice(0, DIFF_LIMIT),
+        unexpected: unexpected.slice(0, DIFF_LIMIT),
+      },
+    };
+  }
+
+  if (exercise.ordered) {
+    const index = expectedRows.findIndex(
+      (row, i) => rowKey(row) !== rowKey(actualRows[i])
+    );
+    if (index !== -1) {
+      return {
+        correct: false,
+        message: `The right rows in the wrong order, from row ${index + 1} on`,
+        diff: {
+          position: index + 1,
+          expected: expectedRows.slice(index, index + DIFF_LIMIT),
+          actual: actualRows.slice(index, index + DIFF_LIMIT),
+        },
+      };
+    }
+  }
+
+  return {
+    correct: true,
+    message: `Correct: all ${expectedRows.length} rows match`,
+  };
+}
+
+// The solution's or the submission's rows, read the way POST /query reads
+// them: as the playground role, capped and under a timeout
+function runReadOnly(db, sql) {
+  return db.readOnlyQuery(sql, { maxRows: MAX_ROWS, timeoutMs: TIMEOUT_MS });
+}
+
+/**
+ * Run `sql` and the exercise's solution through db.readOnlyQuery, each
+ * under a 5 second timeout and capped at 10000 rows, and compare their
+ * result sets, in order if the exercise says so. Throws ExerciseError: 404
+ * for an unknown exercise, 409 when its tables are missing or its solution
+ * returns too many rows to check, and 400 for anything but exactly one
+ * query (see isQuery in sql.js) or one that fails or times out. On PGlite
+ * readOnlyQuery throws its 501 instead of running either.
+ */
+async function checkAnswer(db, id, sql) {
+  const exercise = findExercise(id);
+  if (typeof sql !== "string") {
+    throw new ExerciseError(400, "sql must be a string");
+  }
+  let statements;
+  try {
+    statements = splitStatements(sql, db.dialect);
+  } catch (err) {
+    throw new ExerciseError(400, err.message);
+  }
+  if (statements.length !== 1) {
+    throw new ExerciseError(
+      400,
+      `Submit exactly one SQL statement, got ${statements.length}`
+    );
+  }
+  if (!isQuery(statements[0], db.dialect)) {
+    const keyword = leadingKeyword(statements[0], db.dialect);
+    throw new ExerciseError(
+      400,
+      `Submit a query (SELECT, WITH ...), got ${keyword ?? "something else"}`
+    );
+  }
+
+  const missing = await missingTables(db, exercise);
+  if (missing.length > 0) {
+    const tables = missing.join(", ");
+    throw new ExerciseError(
+      409,
+      `This exercise needs the ${tables} table(s), which don't exist here`
+    );
+  }
+
+  // Each runs in its own transaction, so a write committed in between could
+  // make a right answer look wrong; the practice tables rarely change
+  // mid-check
+  const expected = await runReadOnly(db, exercise.solution);
+  if (expected.truncated) {
+    throw new ExerciseError(
+      409,
+      `This exercise's answer has more than ${MAX_ROWS} rows here, too many to check`
+    );
+  }
+  let actual;
+  try {
+    actual = await runReadOnly(db, statements[0]);
+  } catch (err) {
+    // Anything with a SQLSTATE came from the statement itself
+    if (/^[0-9A-Z]{5}$/.test(err.sqlState ?? err.code)) {
+      throw new ExerciseError(
+        400,
+        `Your query failed: ${err.sqlMessage ?? err.message}`
+      );
+    }
+    throw err;
+  }
+
+  const columnNames = (result) => result.columns.map((column) => column.name);
+  return {
+    exercise: exercise.id,
+    ...compareResults(exercise, expected, actual),
+    expected: {
+      columns: columnNames(expected),
+      rowCount: expected.rows.length,
+    },
+    actual: { columns: columnNames(actual), rowCount: actual.rows.length },
+  };
+}
+
+module.exports = { listExercises, getExercise, checkAnswer, ExerciseError };
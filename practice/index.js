@@ -1,23 +1,12 @@
 const express = require("express");
 const { faker } = require("@faker-js/faker");
-const mysql = require("mysql2/promise");
+const { createDatabase } = require("./db");
+const { seedTable } = require("./seed-table");
+const { listExercises, getExercise, checkAnswer } = require("./exercises");
+const { runQuery } = require("./playground");
 
-const app = express();
 const port = 7000;
 
-// admin:admin@supreme-space-computing-machine-p6pvqw6p9wqcv64-3306.app.github.dev:3306
-
-// MySQL connection config
-const pool = mysql.createPool({
-  host: "127.0.0.1",
-  user: "admin",
-  password: "admin",
-  database: "mydb",
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-});
-
 // Fake majors list
 const majors = [
   "Computer Science",
@@ -32,46 +21,6 @@ const majors = [
   "Nursing",
 ];
 
-// Route to insert fake student data
-app.get("/users", async (req, res) => {
-  const count = parseInt(req.query.count) || 30;
-
-  try {
-    const connection = await pool.getConnection();
-
-    // const insertQuery = `
-    //   INSERT INTO students (first_name, last_name, email, age, major, gpa)
-    //   VALUES (?, ?, ?, ?, ?, ?)
-    // `;
-
-    // for (let i = 0; i < count; i++) {
-    //   const firstName = faker.person.firstName();
-    //   const lastName = faker.person.lastName();
-    //   const email = faker.internet.email({ firstName, lastName });
-    //   const age = faker.number.int({ min: 18, max: 25 });
-    //   const major = faker.helpers.arrayElement(majors);
-    //   const gpa = (Math.random() * 2 + 2).toFixed(2); // GPA: 2.00–4.00
-
-    //   await connection.execute(insertQuery, [
-    //     firstName,
-    //     lastName,
-    //     email,
-    //     age,
-    //     major,
-    //     gpa,
-    //   ]);
-    // }
-
-    await connection.execute('select * from USER;')
-
-    connection.release();
-    res.send(`${count} fake students inserted successfully.`);
-  } catch (err) {
-    console.error(err);
-    res.status(500).send("Database error");
-  }
-});
-
 const departments = [
   "IT",
   "HR",
@@ -85,42 +34,138 @@ const departments = [
   "Quality Assurance",
 ];
 
-// Route to insert fake employee data
-app.get("/employees", async (req, res) => {
-  const count = parseInt(req.query.count) || 30;
-
-  try {
-    const connection = await pool.getConnection();
-
-    const insertQuery = `
-      INSERT INTO employees (first_name, last_name, department, salary, hire_date)
-      VALUES (?, ?, ?, ?, ?)
-    `;
-
-    for (let i = 0; i < count; i++) {
-      const firstName = faker.person.firstName();
-      const lastName = faker.person.lastName();
-      const department = faker.helpers.arrayElement(departments);
-      const salary = (Math.random() * 200000).toFixed(2); // 100000-30000
-      const hire_date = faker.date.past();
-
-      await connection.execute(insertQuery, [
-        firstName,
-        lastName,
-        department,
-        salary,
-        hire_date,
-      ]);
+// The practice routes over `db`, an adapter from db/index.js
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+
+  // Route to insert fake student data
+  app.get("/users", async (req, res) => {
+    const count = parseInt(req.query.count) || 30;
+
+    try {
+      await seedTable(db, "students", {
+        count,
+        overrides: { age: { min: 18, max: 25 }, major: majors },
+      });
+      res.send(`${count} fake students inserted successfully.`);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Route to insert fake employee data
+  app.get("/employees", async (req, res) => {
+    const count = parseInt(req.query.count) || 30;
+
+    try {
+      const rows = [];
+      for (let i = 0; i < count; i++) {
+        const firstName = faker.person.firstName();
+        const lastName = faker.person.lastName();
+        const department = faker.helpers.arrayElement(departments);
+        const salary = (Math.random() * 200000).toFixed(2); // 100000-30000
+        const hire_date = faker.date.past();
+
+        rows.push([firstName, lastName, department, salary, hire_date]);
+      }
+
+      await db.batchInsert(
+        "employees",
+        ["first_name", "last_name", "department", "salary", "hire_date"],
+        rows
+      );
+      res.send(`${count} fake employees inserted successfully.`);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send("Database error");
+    }
+  });
+
+  // Route to insert fake rows into any table, e.g.
+  // POST /seed/employees {"count": 100, "overrides": {"department": ["IT", "HR"]}}
+  // Generators are inferred from each column's name and type; see seed-table.js
+  app.post("/seed/:table", async (req, res) => {
+    const { batchSize, overrides } = req.body ?? {};
+    const count = req.body?.count ?? (parseInt(req.query.count) || 30);
+
+    try {
+      const generators = await seedTable(db, req.params.table, {
+        count,
+        batchSize,
+        overrides,
+      });
+      res.json({ table: req.params.table, inserted: count, generators });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // SQL exercises against the practice tables (and the SkillHire ones on its
+  // PostgreSQL database); see exercises/catalog.js
+  app.get("/exercises", async (req, res) => {
+    try {
+      res.json(await listExercises(db));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get("/exercises/:id", (req, res) => {
+    try {
+      res.json(getExercise(req.params.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Check an answer, e.g.
+  // POST /exercises/top-salaries/check {"sql": "SELECT ... LIMIT 5"}
+  // Runs it read-only next to the reference solution and compares the rows
+  app.post("/exercises/:id/check", async (req, res) => {
+    try {
+      res.json(await checkAnswer(db, req.params.id, req.body?.sql));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Run one read-only statement against the practice database, e.g.
+  // POST /query {"sql": "SELECT * FROM employees", "max_rows": 50}
+  // At most 1000 rows (max_rows) and 5 seconds (timeout_ms); see playground.js
+  app.post("/query", async (req, res) => {
+    try {
+      res.json(await runQuery(db, req.body ?? {}));
+    } catch (err) {
+      sendError(res, err);
     }
+  });
 
-    connection.release();
-    res.send(`${count} fake employees inserted successfully.`);
-  } catch (err) {
-    console.error(err);
-    res.status(500).send("Database error");
-  }
-});
+  return app;
+}
 
-app.listen(port, () => {
-  console.log(`Server running at http://localhost:${port}`);
-});
+// SeedError, ExerciseError and QueryError carry their status
+function sendError(res, err) {
+  if (err.status) {
+    res.status(err.status).json({ error: err.message });
+    return;
+  }
+  // Bad data (SQLSTATE 22xxx) or a broken constraint (23xxx), e.g. an
+  // override that doesn't fit the column or a duplicate unique value
+  // (mysql2 puts the SQLSTATE in sqlState, pg in code)
+  if (/^2[23]/.test(err.sqlState ?? err.code)) {
+    res.status(400).json({ error: err.sqlMessage ?? err.message });
+    return;
+  }
+  console.error(err);
+  res.status(500).json({ error: "Database error" });
+}
+
+if (require.main === module) {
+  // MySQL, PostgreSQL or embedded PGlite, picked by DB_DIALECT; see db/index.js
+  createApp(createDatabase()).listen(port, () => {
+    console.log(`Server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,95 @@
+const { isQuery, leadingKeyword, splitStatements } = require("./sql");
+
+// Upper bounds on what a request may ask for; also the defaults
+const MAX_ROWS = 1000;
+const MAX_TIMEOUT_MS = 5000;
+
+class QueryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "QueryError";
+    this.status = status;
+  }
+}
+
+function bodyLimit(body, name, max) {
+  const value = body[name];
+  if (value === undefined) {
+    return max;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new QueryError(
+      400,
+      `"${name}" must be an integer between 1 and ${max}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Run the one statement in a POST /query body, `{ sql, max_rows,
+ * timeout_ms }`, through db.readOnlyQuery with the given (or the maximum)
+ * row cap and timeout. Throws QueryError 400 for anything but exactly one
+ * query (see isQuery in sql.js) and for a statement the database rejects,
+ * including a timeout or a write. The adapter's own errors pass through,
+ * such as the 501 PGlite answers with.
+ *
+ * The request and response match POST /query in
+ * scalable-db-design-ws/skill-hire (src/api/routes/query.mjs); keep the two
+ * in step.
+ */
+async function runQuery(db, body = {}) {
+  if (typeof body.sql !== "string") {
+    throw new QueryError(400, '"sql" must be a string');
+  }
+  const maxRows = bodyLimit(body, "max_rows", MAX_ROWS);
+  const timeoutMs = bodyLimit(body, "timeout_ms", MAX_TIMEOUT_MS);
+
+  // A second statement could COMMIT the read-only transaction and write.
+  // The adapter runs one statement per query anyway; this gives the clearer
+  // error
+  let statements;
+  try {
+    statements = splitStatements(body.sql, db.dialect);
+  } catch (err) {
+    throw new QueryError(400, err.message);
+  }
+  if (statements.length !== 1) {
+    throw new QueryError(
+      400,
+      `"sql" must hold exactly one statement, got ${statements.length}`
+    );
+  }
+  // Refused here rather than left to the read-only session, which lets a
+  // few through: COPY ... TO on PostgreSQL, DDL on MySQL
+  if (!isQuery(statements[0], db.dialect)) {
+    const keyword = leadingKeyword(statements[0], db.dialect);
+    throw new QueryError(
+      400,
+      `"sql" must be a query (SELECT, WITH, EXPLAIN ...), got ${
+        keyword ?? "something else"
+      }`
+    );
+  }
+
+  let result;
+  try {
+    result = await db.readOnlyQuery(statements[0], { maxRows, timeoutMs });
+  } catch (err) {
+    // Anything with a SQLSTATE came from the statement itself
+    if (/^[0-9A-Z]{5}$/.test(err.sqlState ?? err.code)) {
+      throw new QueryError(400, err.sqlMessage ?? err.message);
+    }
+    throw err;
+  }
+
+  return {
+    columns: result.columns,
+    rows: result.rows,
+    row_count: result.rows.length,
+    truncated: result.truncated,
+    duration_ms: Math.round(result.durationMs * 100) / 100,
+  };
+}
+
+module.exports = { runQuery, QueryError };
@@ -0,0 +1,354 @@
+const { faker } = require("@faker-js/faker");
+
+// Fills any table in the practice database with fake rows. Columns come from
+// db.describeTable (information_schema on either dialect); each one gets a
+// faker generator picked from its name (email, first_name, salary, ...) or,
+// failing that, its type. Requests can override the generator per column.
+
+const MAX_COUNT = 100000;
+const DEFAULT_BATCH_SIZE = 500;
+
+class SeedError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "SeedError";
+    this.status = status;
+  }
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Largest value the column can hold, used to clamp the generators
+function numericLimit(column) {
+  if (column.type === "integer") {
+    return column.integerMax;
+  }
+  // Postgres allows NUMERIC without a precision
+  if (column.type === "decimal" && column.precision !== null) {
+    return 10 ** (column.precision - column.scale) - 10 ** -column.scale;
+  }
+  return Number.MAX_SAFE_INTEGER;
+}
+
+function numberBetween(column, min, max) {
+  max = Math.min(max, numericLimit(column));
+  if (column.type === "integer") {
+    return faker.number.int({ min, max });
+  }
+  const fractionDigits =
+    column.type === "decimal" && column.scale !== null ? column.scale : 2;
+  return faker.number.float({ min, max, fractionDigits });
+}
+
+// Tried in order on the column name. Names come from the same row's person,
+// so first_name, last_name and email belong together.
+const NAME_RULES = [
+  [/email/, "internet.email", (row) => faker.internet.email(row.person)],
+  [/^first_?name$/, "person.firstName", (row) => row.person.firstName],
+  [/^last_?name$/, "person.lastName", (row) => row.person.lastName],
+  [
+    /^user_?name$/,
+    "internet.username",
+    (row) => faker.internet.username(row.person),
+  ],
+  [
+    /^(full_?)?name$/,
+    "person.fullName",
+    (row) => faker.person.fullName(row.person),
+  ],
+  [/phone/, "phone.number", () => faker.phone.number()],
+  [/address/, "location.streetAddress", () => faker.location.streetAddress()],
+  [/city/, "location.city", () => faker.location.city()],
+  [/country/, "location.country", () => faker.location.country()],
+  [/zip|postal/, "location.zipCode", () => faker.location.zipCode()],
+  [/url|website/, "internet.url", () => faker.internet.url()],
+  [/company/, "company.name", () => faker.company.name()],
+  [/department/, "commerce.department", () => faker.commerce.department()],
+  [/job_?title/, "person.jobTitle", () => faker.person.jobTitle()],
+  [
+    /description|bio|comment|notes?$/,
+    "lorem.sentence",
+    () => faker.lorem.sentence(),
+  ],
+];
+
+// Numeric columns whose name implies a sensible range
+const NUMBER_RULES = [
+  [/salary/, 30000, 200000],
+  [/price|amount|cost|total/, 1, 1000],
+  [/^age$/, 18, 70],
+  [/gpa/, 2, 4],
+  [/rating/, 1, 5],
+  [/quantity|stock|count/, 0, 1000],
+];
+
+function nameGenerator(column) {
+  const name = column.name.toLowerCase();
+  if (["integer", "decimal", "float"].includes(column.type)) {
+    const rule = NUMBER_RULES.find(([pattern]) => pattern.test(name));
+    if (rule) {
+      const [, min, max] = rule;
+      return {
+        label: `number ${min}-${max}`,
+        generate: () => numberBetween(column, min, max),
+      };
+    }
+    return null;
+  }
+  if (column.type !== "string") {
+    return null;
+  }
+
+  const rule = NAME_RULES.find(([pattern]) => pattern.test(name));
+  return rule && { label: rule[1], generate: rule[2] };
+}
+
+function typeGenerator(column) {
+  switch (column.type) {
+    case "integer":
+      return {
+        label: "number 1-1000",
+        generate: () => numberBetween(column, 1, 1000),
+      };
+    case "decimal":
+    case "float":
+      return {
+        label: "number 0-1000",
+        generate: () => numberBetween(column, 0, 1000),
+      };
+    case "boolean":
+      return { label: "boolean", generate: () => faker.datatype.boolean() };
+    case "date":
+      return {
+        label: "date.past",
+        generate: () => toDateString(faker.date.past()),
+      };
+    case "datetime":
+      return { label: "date.past", generate: () => faker.date.past() };
+    case "time":
+      return {
+        label: "time",
+        generate: () => faker.date.anytime().toISOString().slice(11, 19),
+      };
+    case "year":
+      return {
+        label: "year",
+        generate: () => faker.number.int({ min: 1990, max: 2030 }),
+      };
+    case "enum":
+      return {
+        label: `one of ${column.enumValues.join(", ")}`,
+        generate: () => faker.helpers.arrayElement(column.enumValues),
+      };
+    case "string":
+      return { label: "lorem.words", generate: () => faker.lorem.words(3) };
+    case "json":
+      return {
+        label: "json",
+        generate: () => JSON.stringify({ note: faker.lorem.word() }),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Turn one per-request override into a generator:
+ *   "literal" or 42        -> always that value (null too)
+ *   ["a", "b"]             -> one of them
+ *   {"faker": "lorem.word"} -> that faker method, called without arguments
+ *   {"min": 1, "max": 10}  -> a number in that range
+ */
+function overrideGenerator(column, override) {
+  if (Array.isArray(override)) {
+    if (override.length === 0) {
+      throw new SeedError(
+        400,
+        `Override for "${column.name}" is an empty list`
+      );
+    }
+    return {
+      label: `one of ${override.join(", ")}`,
+      generate: () => faker.helpers.arrayElement(override),
+    };
+  }
+  if (override === null || typeof override !== "object") {
+    return { label: `constant ${override}`, generate: () => override };
+  }
+
+  if (typeof override.faker === "string") {
+    // Own properties only, so "constructor.constructor" can't reach Function
+    const [module, method] = override.faker.split(".");
+    const fn =
+      Object.hasOwn(faker, module) && Object.hasOwn(faker[module], method)
+        ? faker[module][method]
+        : undefined;
+    if (typeof fn !== "function") {
+      throw new SeedError(400, `Unknown faker method "${override.faker}"`);
+    }
+    return { label: override.faker, generate: () => fn() };
+  }
+  if (Number.isFinite(override.min) && Number.isFinite(override.max)) {
+    return {
+      label: `number ${override.min}-${override.max}`,
+      generate: () => numberBetween(column, override.min, override.max),
+    };
+  }
+  throw new SeedError(
+    400,
+    `Override for "${column.name}" must be a value, a list, {"faker": "module.method"} or {"min", "max"}`
+  );
+}
+
+// Foreign keys get values that exist in the referenced table, so seed that
+// one first
+async function foreignKeyGenerator(db, column) {
+  const { rows } = await db.query(
+    `SELECT DISTINCT ${db.quoteIdentifier(column.referencedColumn)} AS value
+    FROM ${db.quoteIdentifier(column.referencedTable)}
+    ORDER BY 1
+    LIMIT 10000`
+  );
+  if (rows.length === 0) {
+    // A nullable reference (e.g. employees.manager_id) is left NULL instead
+    if (column.nullable) {
+      return null;
+    }
+    throw new SeedError(
+      400,
+      `"${column.name}" references ${column.referencedTable}, which is empty; seed it first`
+    );
+  }
+  const values = rows.map((row) => row.value);
+  return {
+    label: `${column.referencedTable}.${column.referencedColumn}`,
+    generate: () => faker.helpers.arrayElement(values),
+  };
+}
+
+function truncated(column, generator) {
+  if (!column.maxLength) {
+    return generator;
+  }
+  return {
+    label: generator.label,
+    generate: (row) => {
+      const value = generator.generate(row);
+      return typeof value === "string"
+        ? value.slice(0, column.maxLength)
+        : value;
+    },
+  };
+}
+
+/**
+ * Pick a generator for every column that should be filled. Auto-increment,
+ * identity and generated columns are left to the database (unless
+ * overridden), and so are nullable columns or ones with a default that no
+ * generator fits. Throws SeedError (404 for an unknown table, 400 for bad
+ * overrides or a column nothing can fill).
+ */
+async function planColumns(db, table, overrides = {}) {
+  const columns = await db.describeTable(table);
+  if (columns.length === 0) {
+    throw new SeedError(404, `Table "${table}" does not exist`);
+  }
+
+  const unknown = Object.keys(overrides).filter(
+    (name) => !columns.some((column) => column.name === name)
+  );
+  if (unknown.length > 0) {
+    throw new SeedError(
+      400,
+      `Unknown column(s) in overrides: ${unknown.join(", ")}`
+    );
+  }
+
+  const planned = [];
+  for (const column of columns) {
+    let generator;
+    if (Object.hasOwn(overrides, column.name)) {
+      generator = overrideGenerator(column, overrides[column.name]);
+    } else if (column.generated) {
+      continue;
+    } else if (column.referencedTable) {
+      generator = await foreignKeyGenerator(db, column);
+    } else {
+      generator = nameGenerator(column) ?? typeGenerator(column);
+    }
+
+    if (!generator) {
+      if (column.nullable || column.hasDefault) {
+        continue;
+      }
+      throw new SeedError(
+        400,
+        `No generator for ${column.name} (${column.columnType}); pass an override`
+      );
+    }
+    planned.push({ name: column.name, ...truncated(column, generator) });
+  }
+
+  if (planned.length === 0) {
+    throw new SeedError(400, `Table "${table}" has no columns to fill`);
+  }
+  return planned;
+}
+
+/**
+ * Insert `count` fake rows into `table`, `batchSize` rows per INSERT, in one
+ * transaction. Returns the columns filled and the generator used for each.
+ */
+async function seedTable(
+  db,
+  table,
+  { count, batchSize = DEFAULT_BATCH_SIZE, overrides } = {}
+) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new SeedError(
+      400,
+      `count must be an integer between 1 and ${MAX_COUNT}`
+    );
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new SeedError(400, "batchSize must be a positive integer");
+  }
+  if (
+    overrides !== undefined &&
+    (overrides === null ||
+      typeof overrides !== "object" ||
+      Array.isArray(overrides))
+  ) {
+    throw new SeedError(
+      400,
+      "overrides must be an object keyed by column name"
+    );
+  }
+
+  const columns = await planColumns(db, table, overrides);
+  const names = columns.map((column) => column.name);
+
+  await db.transaction(async (tx) => {
+    for (let start = 0; start < count; start += batchSize) {
+      const rows = [];
+      for (let i = start; i < Math.min(start + batchSize, count); i++) {
+        const row = {
+          person: {
+            firstName: faker.person.firstName(),
+            lastName: faker.person.lastName(),
+          },
+        };
+        rows.push(columns.map((column) => column.generate(row)));
+      }
+      await tx.batchInsert(table, names, rows);
+    }
+  });
+
+  return Object.fromEntries(
+    columns.map((column) => [column.name, column.label])
+  );
+}
+
+module.exports = { seedTable, SeedError };
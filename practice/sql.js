@@ -0,0 +1,218 @@
+// Splits SQL text into statements the way the server would, so the routes
+// that run user-supplied SQL can insist on exactly one, and tells queries
+// from other statements, so they can insist on a query. These are the
+// first checks, not the only ones: the adapters run such SQL as a single
+// statement (a prepared statement on PostgreSQL, a connection without
+// multipleStatements on MySQL), which the server refuses to stretch to
+// two, in a session that can only read.
+// Text this can't lex to the end (an unterminated string, quoted
+// identifier, comment or dollar quote) throws.
+//
+// scalable-db-design-ws/skill-hire/src/utils/sql.mjs lexes PostgreSQL the
+// same way; keep the two in step.
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+// The statements that only read, by the keyword they start with
+const QUERY_STATEMENTS = {
+  postgres: new Set(["SELECT", "WITH", "VALUES", "TABLE", "EXPLAIN"]),
+  mysql: new Set([
+    "SELECT",
+    "WITH",
+    "VALUES",
+    "TABLE",
+    "EXPLAIN",
+    "SHOW",
+    "DESCRIBE",
+    "DESC",
+  ]),
+};
+// A Postgres dollar quote opener: $$ or $tag$
+const DOLLAR_QUOTE = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+function unterminated(what, start) {
+  return new SyntaxError(`Unterminated ${what} starting at offset ${start}`);
+}
+
+// Index just past the quote closing the one opened at `start`. A doubled
+// quote stands for itself in every dialect; a backslash escapes the next
+// character in MySQL strings and PostgreSQL E'' strings.
+function skipQuoted(sql, start, quote, backslashEscapes) {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (backslashEscapes && sql[i] === "\\") {
+      i += 2;
+    } else if (sql[i] === quote) {
+      if (sql[i + 1] !== quote) {
+        return i + 1;
+      }
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+  const what = {
+    "'": "string",
+    '"': "double-quoted string or identifier",
+    "`": "quoted identifier",
+  };
+  throw unterminated(what[quote], start);
+}
+
+function skipLine(sql, start) {
+  const end = sql.indexOf("\n", start);
+  return end === -1 ? sql.length : end + 1;
+}
+
+// PostgreSQL nests block comments and MySQL doesn't
+function skipBlockComment(sql, start, dialect) {
+  if (dialect === "mysql") {
+    const end = sql.indexOf("*/", start + 2);
+    if (end === -1) {
+      throw unterminated("block comment", start);
+    }
+    return end + 2;
+  }
+
+  let depth = 0;
+  let i = start;
+  while (i < sql.length) {
+    if (sql[i] === "/" && sql[i + 1] === "*") {
+      depth++;
+      i += 2;
+    } else if (sql[i] === "*" && sql[i + 1] === "/") {
+      depth--;
+      i += 2;
+      if (depth === 0) {
+        return i;
+      }
+    } else {
+      i++;
+    }
+  }
+  throw unterminated("block comment", start);
+}
+
+// MySQL only starts a -- comment when whitespace follows, so 1--1 is
+// arithmetic there
+function isLineComment(sql, i, dialect) {
+  if (sql[i] === "#") {
+    return dialect === "mysql";
+  }
+  if (sql[i] !== "-" || sql[i + 1] !== "-") {
+    return false;
+  }
+  return dialect !== "mysql" || i + 2 >= sql.length || /\s/.test(sql[i + 2]);
+}
+
+/**
+ * Split `sql` on the semicolons outside strings, quoted identifiers,
+ * comments and (Postgres) dollar quotes. Returns the statements without
+ * their semicolons, leaving out any that are only whitespace and comments.
+ * `dialect` is "mysql" or "postgres". Throws a SyntaxError for text that
+ * ends inside one of those.
+ */
+function splitStatements(sql, dialect) {
+  const mysql = dialect === "mysql";
+  const statements = [];
+  let start = 0;
+  let hasCode = false;
+  let i = 0;
+
+  const endStatement = (end) => {
+    if (hasCode) {
+      statements.push(sql.slice(start, end).trim());
+    }
+    start = end + 1;
+    hasCode = false;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    if (isLineComment(sql, i, dialect)) {
+      i = skipLine(sql, i);
+      continue;
+    }
+    // MySQL runs the contents of /*! ... */ comments, so they count as code
+    if (char === "/" && sql[i + 1] === "*" && !(mysql && sql[i + 2] === "!")) {
+      i = skipBlockComment(sql, i, dialect);
+      continue;
+    }
+    if (char === ";") {
+      endStatement(i);
+      i++;
+      continue;
+    }
+    if (!/\s/.test(char)) {
+      hasCode = true;
+    }
+
+    const afterIdentifier = IDENTIFIER_CHAR.test(sql[i - 1] ?? "");
+    if (
+      !mysql &&
+      (char === "E" || char === "e") &&
+      sql[i + 1] === "'" &&
+      !afterIdentifier
+    ) {
+      // E'...', but not the tail of an identifier like name'...'
+      i = skipQuoted(sql, i + 1, "'", true);
+    } else if (char === "'" || char === '"' || (mysql && char === "`")) {
+      // MySQL strings take backslash escapes; its "..." can be either
+      i = skipQuoted(sql, i, char, mysql && char !== "`");
+    } else if (!mysql && char === "$" && !afterIdentifier) {
+      const opener = DOLLAR_QUOTE.exec(sql.slice(i));
+      if (opener) {
+        const end = sql.indexOf(opener[0], i + opener[0].length);
+        if (end === -1) {
+          throw unterminated("dollar-quoted string", i);
+        }
+        i = end + opener[0].length;
+      } else {
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+  endStatement(sql.length);
+  return statements;
+}
+
+/**
+ * The keyword a statement starts with, upper-cased, past any whitespace,
+ * comments and opening parentheses: SELECT for "(SELECT 1) UNION (SELECT
+ * 2)". Null when it starts with anything else, such as a quoted name or
+ * (MySQL) a /*! ... *\/ comment.
+ */
+function leadingKeyword(sql, dialect) {
+  const mysql = dialect === "mysql";
+  let i = 0;
+  while (i < sql.length) {
+    if (/[\s(]/.test(sql[i])) {
+      i++;
+    } else if (isLineComment(sql, i, dialect)) {
+      i = skipLine(sql, i);
+    } else if (
+      sql[i] === "/" &&
+      sql[i + 1] === "*" &&
+      !(mysql && sql[i + 2] === "!")
+    ) {
+      i = skipBlockComment(sql, i, dialect);
+    } else {
+      break;
+    }
+  }
+  const word = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+  return word ? word[0].toUpperCase() : null;
+}
+
+/**
+ * Whether `sql`, one statement, is a query: SELECT, WITH, VALUES, TABLE or
+ * EXPLAIN, plus SHOW and DESCRIBE on MySQL.
+ */
+function isQuery(sql, dialect) {
+  const keywords =
+    dialect === "mysql" ? QUERY_STATEMENTS.mysql : QUERY_STATEMENTS.postgres;
+  return keywords.has(leadingKeyword(sql, dialect));
+}
+
+module.exports = { splitStatements, leadingKeyword, isQuery };
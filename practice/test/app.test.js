@@ -0,0 +1,248 @@
+// The practice routes against in-memory PGlite databases, one that runs
+// submitted SQL (allowUntimedQueries, as this file's SQL is its own) and one
+// that refuses to, as DB_DIALECT=pglite does
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const { after, before, describe, it } = require("node:test");
+const pglite = require("../db/pglite");
+const { createApp } = require("..");
+
+const servers = [];
+let db;
+let refusingDb;
+let baseUrl;
+let refusingUrl;
+
+async function listen(database) {
+  const server = createApp(database).listen(0);
+  await once(server, "listening");
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function request(url, path, body) {
+  const response = await fetch(`${url}${path}`, {
+    method: body === undefined ? "GET" : "POST",
+    headers: { "content-type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  const type = response.headers.get("content-type") ?? "";
+  return {
+    status: response.status,
+    body: type.includes("json") ? JSON.parse(text) : text,
+  };
+}
+
+before(async () => {
+  db = pglite.create({ allowUntimedQueries: true });
+  refusingDb = pglite.create();
+  baseUrl = await listen(db);
+  refusingUrl = await listen(refusingDb);
+});
+
+after(async () => {
+  for (const server of servers) {
+    server.close();
+  }
+  await db.close();
+  await refusingDb.close();
+});
+
+describe("seeding routes", () => {
+  it("GET /users inserts students", async () => {
+    const { status, body } = await request(baseUrl, "/users?count=12");
+    assert.equal(status, 200);
+    assert.match(body, /12 fake students/);
+
+    const { rows } = await db.query(
+      "SELECT COUNT(*) AS count, MIN(age) AS min, MAX(age) AS max FROM students"
+    );
+    assert.equal(Number(rows[0].count), 12);
+    assert.ok(rows[0].min >= 18 && rows[0].max <= 25);
+  });
+
+  it("GET /employees inserts employees", async () => {
+    const { status } = await request(baseUrl, "/employees?count=40");
+    assert.equal(status, 200);
+  });
+
+  it("POST /seed/:table applies overrides", async () => {
+    const { status, body } = await request(baseUrl, "/seed/employees", {
+      count: 10,
+      overrides: { department: "Research" },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.inserted, 10);
+
+    const { rows } = await db.query(
+      "SELECT COUNT(*) AS count FROM employees WHERE department = 'Research'"
+    );
+    assert.ok(Number(rows[0].count) >= 10);
+  });
+
+  it("POST /seed/:table rejects a table that doesn't exist", async () => {
+    const { status } = await request(baseUrl, "/seed/nowhere", { count: 1 });
+    assert.equal(status, 404);
+  });
+});
+
+describe("exercises", () => {
+  it("lists which exercises this database has the tables for", async () => {
+    const { status, body } = await request(baseUrl, "/exercises");
+    assert.equal(status, 200);
+    const available = Object.fromEntries(
+      body.map((exercise) => [exercise.id, exercise.available])
+    );
+    assert.equal(available["it-employees"], true);
+    assert.equal(available["open-jobs-per-category"], false);
+    assert.ok(body.every((exercise) => exercise.solution === undefined));
+  });
+
+  it("serves one exercise without its solution", async () => {
+    const { status, body } = await request(baseUrl, "/exercises/top-salaries");
+    assert.equal(status, 200);
+    assert.equal(body.ordered, true);
+    assert.equal(body.solution, undefined);
+
+    const missing = await request(baseUrl, "/exercises/nope");
+    assert.equal(missing.status, 404);
+  });
+
+  it("accepts a right answer and explains a wrong one", async () => {
+    const right = await request(baseUrl, "/exercises/top-salaries/check", {
+      sql: `
+        SELECT emp_id, first_name, last_name, salary FROM employees
+        ORDER BY salary DESC, emp_id LIMIT 5
+      `,
+    });
+    assert.equal(right.status, 200);
+    assert.equal(right.body.correct, true, right.body.message);
+
+    const unordered = await request(baseUrl, "/exercises/top-salaries/check", {
+      sql: `
+        SELECT emp_id, first_name, last_name, salary FROM employees
+        ORDER BY salary DESC, emp_id LIMIT 5
+      `.replace("salary DESC, emp_id", "salary ASC, emp_id"),
+    });
+    assert.equal(unordered.body.correct, false);
+
+    const columns = await request(baseUrl, "/exercises/top-salaries/check", {
+      sql: "SELECT emp_id FROM employees",
+    });
+    assert.equal(columns.body.correct, false);
+    assert.match(columns.body.message, /Expected 4 columns, got 1/);
+  });
+
+  it("stops a submission at the row cap", async () => {
+    const { status, body } = await request(
+      baseUrl,
+      "/exercises/it-employees/check",
+      { sql: "SELECT 1, 2, 3 FROM generate_series(1, 100000)" }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.correct, false);
+    assert.match(body.message, /more than 10000 rows/);
+  });
+
+  it("rejects submissions that aren't one query", async () => {
+    for (const sql of [
+      "SELECT 1; SELECT 2",
+      "DELETE FROM employees",
+      "COPY employees TO '/tmp/employees.csv'",
+      "SELECT 'unterminated",
+      "SELECT nope FROM employees",
+    ]) {
+      const { status } = await request(
+        baseUrl,
+        "/exercises/it-employees/check",
+        { sql }
+      );
+      assert.equal(status, 400, sql);
+    }
+  });
+
+  it("needs the exercise's tables", async () => {
+    const { status } = await request(
+      baseUrl,
+      "/exercises/open-jobs-per-category/check",
+      { sql: "SELECT 1" }
+    );
+    assert.equal(status, 409);
+  });
+});
+
+describe("POST /query", () => {
+  it("returns columns, rows and whether it cut them short", async () => {
+    const { status, body } = await request(baseUrl, "/query", {
+      sql: "SELECT n, n * 2 AS n FROM generate_series(1, 5) AS n",
+      max_rows: 3,
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.columns, [
+      { name: "n", type: "integer" },
+      { name: "n", type: "integer" },
+    ]);
+    assert.deepEqual(body.rows, [
+      [1, 2],
+      [2, 4],
+      [3, 6],
+    ]);
+    assert.equal(body.row_count, 3);
+    assert.equal(body.truncated, true);
+  });
+
+  it("runs as the playground role", async () => {
+    const { body } = await request(baseUrl, "/query", {
+      sql: "SELECT current_user",
+    });
+    assert.deepEqual(body.rows, [["playground_ro"]]);
+
+    const denied = await request(baseUrl, "/query", {
+      sql: "SELECT pg_read_file('/etc/hostname')",
+    });
+    assert.equal(denied.status, 400);
+    assert.match(denied.body.error, /permission denied/);
+  });
+
+  it("rejects anything but one query", async () => {
+    for (const [sql, error] of [
+      ["SELECT 1; SELECT 2", /exactly one statement, got 2/],
+      ["", /exactly one statement, got 0/],
+      ["INSERT INTO employees (first_name) VALUES ('x')", /got INSERT/],
+      ["COPY employees TO PROGRAM 'id'", /got COPY/],
+      ["SELECT $$unterminated", /Unterminated dollar-quoted string/],
+    ]) {
+      const { status, body } = await request(baseUrl, "/query", { sql });
+      assert.equal(status, 400, sql);
+      assert.match(body.error, error);
+    }
+  });
+
+  it("checks max_rows and timeout_ms", async () => {
+    const { status } = await request(baseUrl, "/query", {
+      sql: "SELECT 1",
+      timeout_ms: 60000,
+    });
+    assert.equal(status, 400);
+  });
+});
+
+describe("PGlite without allowUntimedQueries", () => {
+  it("refuses to run submitted SQL", async () => {
+    const query = await request(refusingUrl, "/query", { sql: "SELECT 1" });
+    assert.equal(query.status, 501);
+
+    const check = await request(refusingUrl, "/exercises/it-employees/check", {
+      sql: "SELECT first_name, last_name, salary FROM employees",
+    });
+    assert.equal(check.status, 501);
+  });
+
+  it("still rejects a bad statement first", async () => {
+    const { status } = await request(refusingUrl, "/query", {
+      sql: "DROP TABLE employees",
+    });
+    assert.equal(status, 400);
+  });
+});
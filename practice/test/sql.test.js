@@ -0,0 +1,171 @@
+// sql.js on both dialects. Its PostgreSQL lexing follows
+// scalable-db-design-ws/skill-hire/src/utils/sql.mjs, whose
+// test/sql.test.mjs checks the same cases.
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { isQuery, leadingKeyword, splitStatements } = require("../sql");
+
+const split = (sql) => splitStatements(sql, "postgres");
+const splitMysql = (sql) => splitStatements(sql, "mysql");
+
+describe("splitStatements on PostgreSQL", () => {
+  it("splits on semicolons and drops empty statements", () => {
+    assert.deepEqual(split(" SELECT 1 ;; SELECT 2;\n"), [
+      "SELECT 1",
+      "SELECT 2",
+    ]);
+    assert.deepEqual(split("  ;  -- nothing\n /* here */ ;"), []);
+  });
+
+  it("keeps semicolons inside strings and quoted identifiers", () => {
+    assert.deepEqual(split(`SELECT 'a;b', 'it''s;' AS "x;""y"`), [
+      `SELECT 'a;b', 'it''s;' AS "x;""y"`,
+    ]);
+  });
+
+  it("nests block comments", () => {
+    assert.deepEqual(split("SELECT /* outer /* inner */ still; comment */ 1"), [
+      "SELECT /* outer /* inner */ still; comment */ 1",
+    ]);
+  });
+
+  it("keeps semicolons inside dollar quotes", () => {
+    assert.deepEqual(split("SELECT $$a;b$$; SELECT $tag$ $$; $tag$"), [
+      "SELECT $$a;b$$",
+      "SELECT $tag$ $$; $tag$",
+    ]);
+    // $1 is a parameter, and a$b$ an identifier, not a quote
+    assert.deepEqual(split("SELECT $1; SELECT a$b$; SELECT 2"), [
+      "SELECT $1",
+      "SELECT a$b$",
+      "SELECT 2",
+    ]);
+  });
+
+  it("reads backslash escapes in E'' strings only", () => {
+    assert.deepEqual(split(`SELECT E'\\'; DROP TABLE users; --'`), [
+      `SELECT E'\\'; DROP TABLE users; --'`,
+    ]);
+    assert.deepEqual(split(`SELECT '\\'; SELECT 2`), [
+      `SELECT '\\'`,
+      "SELECT 2",
+    ]);
+    assert.deepEqual(split(`SELECT name'\\'; SELECT 2`), [
+      `SELECT name'\\'`,
+      "SELECT 2",
+    ]);
+  });
+
+  it("treats # as code", () => {
+    assert.deepEqual(split("SELECT 1 # 2; SELECT 3"), [
+      "SELECT 1 # 2",
+      "SELECT 3",
+    ]);
+  });
+
+  it("throws on unterminated input", () => {
+    for (const sql of [
+      "SELECT 'abc",
+      'SELECT "abc',
+      "SELECT E'abc\\'",
+      "SELECT /* /* */",
+      "SELECT $x$ abc $$",
+    ]) {
+      assert.throws(() => split(sql), SyntaxError, sql);
+    }
+  });
+});
+
+describe("splitStatements on MySQL", () => {
+  it("reads backslash escapes in every string", () => {
+    assert.deepEqual(splitMysql(`SELECT '\\'; DROP TABLE t; --'; SELECT 2`), [
+      `SELECT '\\'; DROP TABLE t; --'`,
+      "SELECT 2",
+    ]);
+    assert.deepEqual(splitMysql(`SELECT "a\\";b"`), [`SELECT "a\\";b"`]);
+  });
+
+  it("keeps semicolons inside backquoted names", () => {
+    assert.deepEqual(splitMysql("SELECT 1 AS `a;``b`; SELECT 2"), [
+      "SELECT 1 AS `a;``b`",
+      "SELECT 2",
+    ]);
+  });
+
+  it("starts a comment at # and at -- followed by whitespace", () => {
+    assert.deepEqual(splitMysql("SELECT 1 # ; SELECT 2\nSELECT 3"), [
+      "SELECT 1 # ; SELECT 2\nSELECT 3",
+    ]);
+    assert.deepEqual(splitMysql("SELECT 1 -- ; SELECT 2"), [
+      "SELECT 1 -- ; SELECT 2",
+    ]);
+    // 1--1 is arithmetic
+    assert.deepEqual(splitMysql("SELECT 1--1; SELECT 2"), [
+      "SELECT 1--1",
+      "SELECT 2",
+    ]);
+  });
+
+  it("doesn't nest block comments but counts /*! */ as code", () => {
+    assert.deepEqual(splitMysql("SELECT /* /* */ 1; SELECT 2"), [
+      "SELECT /* /* */ 1",
+      "SELECT 2",
+    ]);
+    assert.deepEqual(splitMysql("/*! SELECT 1 */; /* nothing */;"), [
+      "/*! SELECT 1 */",
+    ]);
+  });
+
+  it("has no dollar quotes", () => {
+    assert.deepEqual(splitMysql("SELECT $$a; SELECT 2"), [
+      "SELECT $$a",
+      "SELECT 2",
+    ]);
+  });
+
+  it("throws on unterminated input", () => {
+    for (const sql of ["SELECT 'abc\\'", "SELECT `abc", "SELECT /* abc"]) {
+      assert.throws(() => splitMysql(sql), SyntaxError, sql);
+    }
+  });
+});
+
+describe("leadingKeyword and isQuery", () => {
+  it("skip whitespace, comments and parentheses", () => {
+    assert.equal(
+      leadingKeyword("-- a\n/* b /* c */ */ ((select 1))", "postgres"),
+      "SELECT"
+    );
+    assert.equal(leadingKeyword("# a\n(show tables)", "mysql"), "SHOW");
+  });
+
+  it("don't read a keyword out of a /*! */ comment", () => {
+    assert.equal(leadingKeyword("/*!50000 DROP TABLE t */", "mysql"), null);
+    assert.equal(isQuery("/*! SELECT 1 */", "mysql"), false);
+  });
+
+  it("accept only queries", () => {
+    for (const sql of [
+      "SELECT 1",
+      "WITH x AS (SELECT 1) TABLE x",
+      "EXPLAIN SELECT 1",
+    ]) {
+      assert.equal(isQuery(sql, "postgres"), true, sql);
+      assert.equal(isQuery(sql, "mysql"), true, sql);
+    }
+    for (const sql of ["SHOW TABLES", "DESCRIBE employees"]) {
+      assert.equal(isQuery(sql, "postgres"), false, sql);
+      assert.equal(isQuery(sql, "mysql"), true, sql);
+    }
+    for (const sql of [
+      "COPY t TO PROGRAM 'id'",
+      "CREATE TABLE t (a INT)",
+      "DELETE FROM t",
+      "SELECTED",
+      '"t"',
+    ]) {
+      assert.equal(isQuery(sql, "postgres"), false, sql);
+      assert.equal(isQuery(sql, "mysql"), false, sql);
+    }
+  });
+});
@@ -0,0 +1,23 @@
+-- Reverts 1-initialization.sql. Partitions go with their parent tables.
+DROP TABLE IF EXISTS freelancer_skills;
+DROP TABLE IF EXISTS reviews;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS milestones;
+DROP TABLE IF EXISTS projects;
+DROP TABLE IF EXISTS applications;
+DROP TABLE IF EXISTS job_skills;
+DROP TABLE IF EXISTS jobs;
+DROP TABLE IF EXISTS skills;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS client_profiles;
+DROP TABLE IF EXISTS freelancer_profiles;
+DROP TABLE IF EXISTS users;
+
+DROP TYPE IF EXISTS milestone_status;
+DROP TYPE IF EXISTS project_status;
+DROP TYPE IF EXISTS application_status;
+DROP TYPE IF EXISTS job_status;
+DROP TYPE IF EXISTS budget_type;
+DROP TYPE IF EXISTS account_status;
+DROP TYPE IF EXISTS user_type;
@@ -0,0 +1,3 @@
+-- Reverts 2-triggers.sql
+DROP TRIGGER IF EXISTS trigger_update_applications_count ON applications;
+DROP FUNCTION IF EXISTS update_job_applications_count();
@@ -0,0 +1,2 @@
+-- Reverts 3-vews.sql
+DROP MATERIALIZED VIEW IF EXISTS top_freelancers;
@@ -0,0 +1,3 @@
+-- Reverts 4-job-search.sql
+DROP INDEX IF EXISTS idx_jobs_search_vector;
+ALTER TABLE jobs DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,9 @@
+-- Full-text search over job titles (weight A) and descriptions (weight B).
+-- Generated, so it can never drift from the text it is built from.
+ALTER TABLE jobs
+ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+) STORED;
+
+CREATE INDEX idx_jobs_search_vector ON jobs USING GIN(search_vector);
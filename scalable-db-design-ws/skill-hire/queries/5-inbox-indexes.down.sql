@@ -0,0 +1,4 @@
+-- Reverts 5-inbox-indexes.sql
+DROP INDEX IF EXISTS idx_notifications_unread_feed;
+DROP INDEX IF EXISTS idx_notifications_feed;
+DROP INDEX IF EXISTS idx_messages_thread;
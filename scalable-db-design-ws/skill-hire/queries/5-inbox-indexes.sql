@@ -0,0 +1,17 @@
+-- Keyset pagination for conversation threads and notification feeds.
+-- Both are read newest first, so the indexes are sorted that way.
+
+-- A thread is every message between two users in either direction; keying
+-- on the ordered pair puts both directions in one index range
+CREATE INDEX idx_messages_thread ON messages (
+    LEAST(sender_id, receiver_id),
+    GREATEST(sender_id, receiver_id),
+    sent_at DESC,
+    id DESC
+);
+
+CREATE INDEX idx_notifications_feed ON notifications (user_id, created_at DESC, id DESC);
+
+-- Unread notifications are a small, hot slice of the feed
+CREATE INDEX idx_notifications_unread_feed ON notifications (user_id, created_at DESC, id DESC)
+WHERE is_read = false;
@@ -0,0 +1,2 @@
+-- Reverts 6-notification-payload.sql
+ALTER TABLE notifications DROP COLUMN IF EXISTS payload;
@@ -0,0 +1,4 @@
+-- Notifications point back at the event that produced them, e.g.
+-- {"application_id": 12, "job_id": 3} for an application_received.
+-- Added on the partitioned parent, so every partition gets the column.
+ALTER TABLE notifications ADD COLUMN payload JSONB NOT NULL DEFAULT '{}';
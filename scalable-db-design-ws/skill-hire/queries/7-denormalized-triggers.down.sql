@@ -0,0 +1,16 @@
+-- Reverts 7-denormalized-triggers.sql. The columns keep their last values.
+DROP TRIGGER IF EXISTS trigger_update_profiles_skill_name ON skills;
+DROP TRIGGER IF EXISTS trigger_update_freelancer_profile_skills ON freelancer_skills;
+DROP TRIGGER IF EXISTS trigger_set_freelancer_profile_skills ON freelancer_profiles;
+DROP TRIGGER IF EXISTS trigger_update_jobs_category_name ON categories;
+DROP TRIGGER IF EXISTS trigger_set_job_category_name ON jobs;
+DROP TRIGGER IF EXISTS trigger_update_average_rating ON reviews;
+DROP FUNCTION IF EXISTS update_profiles_skill_name();
+DROP FUNCTION IF EXISTS update_freelancer_profile_skills();
+DROP FUNCTION IF EXISTS set_freelancer_profile_skills();
+DROP FUNCTION IF EXISTS refresh_freelancer_skills(INT);
+DROP FUNCTION IF EXISTS freelancer_skill_names(INT);
+DROP FUNCTION IF EXISTS update_jobs_category_name();
+DROP FUNCTION IF EXISTS set_job_category_name();
+DROP FUNCTION IF EXISTS update_user_average_rating();
+DROP FUNCTION IF EXISTS refresh_user_average_rating(INT);
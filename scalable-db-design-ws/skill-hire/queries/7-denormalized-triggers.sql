@@ -0,0 +1,170 @@
+-- Keep the denormalized columns in sync with their sources:
+--   users.average_rating       <- reviews.rating
+--   jobs.category_name         <- categories.name
+--   freelancer_profiles.skills <- freelancer_skills + skills.name
+--
+-- Each trigger locks the row it maintains before recomputing it (FOR NO KEY
+-- UPDATE, which doesn't conflict with the KEY SHARE locks that other
+-- writers' foreign key checks hold on the same row). Under READ
+-- COMMITTED every statement in a plpgsql function takes a fresh snapshot, so
+-- the recompute after the lock sees everything committed by whoever held it
+-- before; recomputing from a snapshot taken before the wait would drop their
+-- changes. Under REPEATABLE READ the second writer gets a serialization
+-- error instead, which is just as safe.
+
+-- users.average_rating: mean of the reviews received, 0 without any
+CREATE OR REPLACE FUNCTION refresh_user_average_rating(user_id INT)
+RETURNS VOID AS $$
+BEGIN
+    PERFORM 1 FROM users WHERE id = user_id FOR NO KEY UPDATE;
+    UPDATE users
+    SET average_rating = COALESCE(
+        (SELECT ROUND(AVG(rating), 2) FROM reviews WHERE reviewee_id = user_id),
+        0
+    )
+    WHERE id = user_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_user_average_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM refresh_user_average_rating(NEW.reviewee_id);
+    ELSIF TG_OP = 'DELETE' THEN
+        PERFORM refresh_user_average_rating(OLD.reviewee_id);
+    ELSIF OLD.reviewee_id = NEW.reviewee_id THEN
+        PERFORM refresh_user_average_rating(NEW.reviewee_id);
+    ELSE
+        -- Lowest id first, so two moves between the same users can't deadlock
+        PERFORM refresh_user_average_rating(LEAST(OLD.reviewee_id, NEW.reviewee_id));
+        PERFORM refresh_user_average_rating(GREATEST(OLD.reviewee_id, NEW.reviewee_id));
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_average_rating
+    AFTER INSERT OR DELETE OR UPDATE OF rating, reviewee_id ON reviews
+    FOR EACH ROW EXECUTE FUNCTION update_user_average_rating();
+
+-- jobs.category_name: copied from the category on insert and when a job
+-- changes category (including ON DELETE SET NULL), and rewritten on every
+-- job when a category is renamed. FOR SHARE makes a new job wait for a
+-- rename in flight and read the new name.
+CREATE OR REPLACE FUNCTION set_job_category_name()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.category_name := (
+        SELECT name FROM categories WHERE id = NEW.category_id FOR SHARE
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_set_job_category_name
+    BEFORE INSERT OR UPDATE OF category_id, category_name ON jobs
+    FOR EACH ROW EXECUTE FUNCTION set_job_category_name();
+
+CREATE OR REPLACE FUNCTION update_jobs_category_name()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE jobs SET category_name = NEW.name WHERE category_id = NEW.id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_jobs_category_name
+    AFTER UPDATE OF name ON categories
+    FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+    EXECUTE FUNCTION update_jobs_category_name();
+
+-- freelancer_profiles.skills: the freelancer's skill names, sorted
+CREATE OR REPLACE FUNCTION freelancer_skill_names(freelancer_id INT)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(s.name ORDER BY s.name), '[]'::jsonb)
+    FROM freelancer_skills fs
+    JOIN skills s ON s.id = fs.skill_id
+    WHERE fs.freelancer_id = $1;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION refresh_freelancer_skills(profile_id INT)
+RETURNS VOID AS $$
+BEGIN
+    PERFORM 1 FROM freelancer_profiles WHERE id = profile_id FOR NO KEY UPDATE;
+    UPDATE freelancer_profiles
+    SET skills = freelancer_skill_names(profile_id)
+    WHERE id = profile_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A profile created after its skills starts out with them
+CREATE OR REPLACE FUNCTION set_freelancer_profile_skills()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.skills := freelancer_skill_names(NEW.id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_set_freelancer_profile_skills
+    BEFORE INSERT ON freelancer_profiles
+    FOR EACH ROW EXECUTE FUNCTION set_freelancer_profile_skills();
+
+CREATE OR REPLACE FUNCTION update_freelancer_profile_skills()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Share-lock the skill first, like a rename locks it before the
+    -- profiles, so a concurrent rename is either seen or waits for us
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM 1 FROM skills WHERE id = NEW.skill_id FOR SHARE;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        PERFORM refresh_freelancer_skills(NEW.freelancer_id);
+    ELSIF TG_OP = 'DELETE' THEN
+        PERFORM refresh_freelancer_skills(OLD.freelancer_id);
+    ELSIF OLD.freelancer_id = NEW.freelancer_id THEN
+        PERFORM refresh_freelancer_skills(NEW.freelancer_id);
+    ELSE
+        PERFORM refresh_freelancer_skills(LEAST(OLD.freelancer_id, NEW.freelancer_id));
+        PERFORM refresh_freelancer_skills(GREATEST(OLD.freelancer_id, NEW.freelancer_id));
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_freelancer_profile_skills
+    AFTER INSERT OR UPDATE OR DELETE ON freelancer_skills
+    FOR EACH ROW EXECUTE FUNCTION update_freelancer_profile_skills();
+
+CREATE OR REPLACE FUNCTION update_profiles_skill_name()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE freelancer_profiles fp
+    SET skills = freelancer_skill_names(fp.id)
+    WHERE fp.id IN (
+        SELECT freelancer_id FROM freelancer_skills WHERE skill_id = NEW.id
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_profiles_skill_name
+    AFTER UPDATE OF name ON skills
+    FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+    EXECUTE FUNCTION update_profiles_skill_name();
+
+-- Bring existing rows in line
+UPDATE users u
+SET average_rating = COALESCE(
+    (SELECT ROUND(AVG(r.rating), 2) FROM reviews r WHERE r.reviewee_id = u.id),
+    0
+);
+
+UPDATE jobs j
+SET category_name = (SELECT name FROM categories c WHERE c.id = j.category_id)
+WHERE j.category_name IS DISTINCT FROM
+    (SELECT name FROM categories c WHERE c.id = j.category_id);
+
+UPDATE freelancer_profiles SET skills = freelancer_skill_names(id);
@@ -0,0 +1,3 @@
+-- Reverts 8-top-freelancers-refresh.sql
+DROP TABLE IF EXISTS materialized_view_refreshes;
+DROP INDEX IF EXISTS idx_top_freelancers_id;
@@ -0,0 +1,12 @@
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY needs a unique index over every
+-- row, with no WHERE clause. A freelancer appears once, so id qualifies.
+CREATE UNIQUE INDEX idx_top_freelancers_id ON top_freelancers(id);
+
+-- The last refresh of each materialized view, so readers can tell how stale
+-- it is. Written by src/views.mjs after every refresh.
+CREATE TABLE materialized_view_refreshes (
+    view_name TEXT PRIMARY KEY,
+    refreshed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_ms INT NOT NULL,
+    row_count INT NOT NULL
+);
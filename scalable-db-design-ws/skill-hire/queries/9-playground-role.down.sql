@@ -0,0 +1,15 @@
+-- Reverts 9-playground-role.sql
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'playground_ro') THEN
+        -- Revokes what this database granted it, default privileges included
+        DROP OWNED BY playground_ro;
+        BEGIN
+            DROP ROLE playground_ro;
+        EXCEPTION WHEN dependent_objects_still_exist THEN
+            -- Another database on the server still grants it something
+            RAISE NOTICE 'Keeping role playground_ro: %', SQLERRM;
+        END;
+    END IF;
+END
+$$;
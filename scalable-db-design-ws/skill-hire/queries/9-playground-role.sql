@@ -0,0 +1,22 @@
+-- The role POST /query switches to (SET LOCAL ROLE playground_ro) before
+-- running a submitted statement. A READ ONLY transaction still lets a
+-- superuser COPY ... TO a file or PROGRAM and call pg_read_file(); this
+-- role can do neither, and can only read the tables.
+--
+-- Roles belong to the whole server, so it may exist already. A migrating
+-- user that isn't a superuser needs CREATEROLE, and is made a member so it
+-- can SET ROLE to it.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'playground_ro') THEN
+        CREATE ROLE playground_ro NOLOGIN;
+    END IF;
+END
+$$;
+GRANT playground_ro TO CURRENT_USER;
+
+GRANT USAGE ON SCHEMA public TO playground_ro;
+-- Tables, views and materialized views alike
+GRANT SELECT ON ALL TABLES IN SCHEMA public TO playground_ro;
+-- and the ones later migrations create
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT ON TABLES TO playground_ro;
@@ -0,0 +1,46 @@
+import express from 'express';
+import { clientsRouter } from './routes/clients.mjs';
+import { freelancersRouter } from './routes/freelancers.mjs';
+import { jobsRouter } from './routes/jobs.mjs';
+import { queryRouter } from './routes/query.mjs';
+import { statsRouter } from './routes/stats.mjs';
+import { usersRouter } from './routes/users.mjs';
+import { HttpError } from './validate.mjs';
+
+// The access patterns from docs/3. Access-Patterns.md as JSON endpoints.
+// Express 5 forwards rejected route promises to the error handler below.
+export function createApp() {
+	const app = express();
+	app.use(express.json());
+
+	app.get('/health', (req, res) => {
+		res.json({ status: 'ok' });
+	});
+
+	app.use('/freelancers', freelancersRouter);
+	app.use('/clients', clientsRouter);
+	app.use('/jobs', jobsRouter);
+	app.use('/users', usersRouter);
+	app.use('/stats', statsRouter);
+	app.use('/query', queryRouter);
+
+	app.use((req, res) => {
+		res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+	});
+
+	// Express only treats 4-argument middleware as an error handler
+	app.use((error, req, res, next) => {
+		// HttpErrors are deliberate whatever their status (/query answers 501
+		// on the embedded database); other errors, like express.json()'s 400s,
+		// only show when they are the client's fault
+		if (error instanceof HttpError || (error.status && error.status < 500)) {
+			res.status(error.status).json({ error: error.message });
+			return;
+		}
+
+		console.error(`❌ ${req.method} ${req.originalUrl}:`, error);
+		res.status(500).json({ error: 'Internal server error' });
+	});
+
+	return app;
+}
@@ -0,0 +1,110 @@
+import { Router } from 'express';
+import { dbClient } from '../../db.mjs';
+import { idParam } from '../validate.mjs';
+
+export const clientsRouter = Router();
+
+// Get client's open jobs with application counts
+clientsRouter.get('/:id/jobs/open', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			j.id,
+			j.title,
+			j.description,
+			j.budget_type,
+			j.budget_amount,
+			j.applications_count
+		FROM jobs j
+		WHERE j.client_id = $1 AND j.status = 'open'
+		ORDER BY j.created_at DESC, j.id DESC
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve client's project history with milestones, one entry per project
+clientsRouter.get('/:id/projects', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			p.id,
+			j.title AS job_title,
+			p.status,
+			p.start_date,
+			COALESCE(
+				json_agg(
+					json_build_object(
+						'id', m.id,
+						'description', m.description,
+						'due_date', m.due_date,
+						'amount', m.amount,
+						'status', m.status
+					)
+					ORDER BY m.due_date, m.id
+				) FILTER (WHERE m.id IS NOT NULL),
+				'[]'
+			) AS milestones
+		FROM projects p
+		JOIN jobs j ON p.job_id = j.id
+		LEFT JOIN milestones m ON p.id = m.project_id
+		WHERE j.client_id = $1
+		GROUP BY p.id, j.title
+		ORDER BY p.start_date DESC NULLS LAST, p.id DESC
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve client's active projects with milestone progress
+clientsRouter.get('/:id/projects/active', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			p.id,
+			j.title AS job_title,
+			COUNT(m.id)::int AS total_milestones,
+			COUNT(m.id) FILTER (WHERE m.status = 'completed')::int AS completed_milestones
+		FROM projects p
+		JOIN jobs j ON p.job_id = j.id
+		LEFT JOIN milestones m ON p.id = m.project_id
+		WHERE j.client_id = $1 AND p.status = 'in_progress'
+		GROUP BY p.id, j.title
+		ORDER BY p.id
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve client's spending by category
+clientsRouter.get('/:id/spending-by-category', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT c.name AS category, SUM(p.total_amount) AS total_spent
+		FROM jobs j
+		JOIN projects p ON j.id = p.job_id
+		JOIN categories c ON j.category_id = c.id
+		WHERE j.client_id = $1
+		GROUP BY c.name
+		ORDER BY total_spent DESC
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Calculate client's average project budget
+clientsRouter.get('/:id/average-budget', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT AVG(budget_amount) AS average_budget, COUNT(*)::int AS jobs
+		FROM jobs
+		WHERE client_id = $1
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows[0]);
+});
@@ -0,0 +1,206 @@
+import { Router } from 'express';
+import { dbClient } from '../../db.mjs';
+import {
+	HttpError,
+	idParam,
+	intQuery,
+	listQuery,
+	notFound,
+	pageQuery,
+} from '../validate.mjs';
+
+export const freelancersRouter = Router();
+
+// Find freelancers with specific skills using JSONB: ?skills=React,Node.js
+freelancersRouter.get('/', async (req, res) => {
+	const skills = listQuery(req, 'skills');
+	if (skills.length === 0) {
+		throw new HttpError(400, 'Query parameter "skills" is required');
+	}
+	const { limit, offset } = pageQuery(req);
+
+	const result = await dbClient.query(
+		`
+		SELECT id, name, skills
+		FROM freelancer_profiles
+		WHERE skills @> $1::jsonb
+		ORDER BY id
+		LIMIT $2 OFFSET $3
+	`,
+		[JSON.stringify(skills), limit, offset]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve freelancer profiles
+freelancersRouter.get('/:id', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			u.id,
+			fp.name,
+			fp.location,
+			fp.hourly_rate,
+			fp.is_available,
+			fp.portfolio,
+			COALESCE(
+				json_agg(s.name ORDER BY s.name) FILTER (WHERE s.id IS NOT NULL),
+				'[]'
+			) AS skills,
+			u.average_rating
+		FROM users u
+		JOIN freelancer_profiles fp ON u.id = fp.id
+		LEFT JOIN freelancer_skills fs ON u.id = fs.freelancer_id
+		LEFT JOIN skills s ON fs.skill_id = s.id
+		WHERE u.id = $1
+		GROUP BY u.id, fp.id
+	`,
+		[idParam(req)]
+	);
+
+	if (result.rows.length === 0) {
+		throw notFound('Freelancer');
+	}
+	res.json(result.rows[0]);
+});
+
+// Retrieve freelancer's applications with job details
+freelancersRouter.get('/:id/applications', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT a.id, j.id AS job_id, j.title, c.name AS category, a.status, a.applied_at
+		FROM applications a
+		JOIN jobs j ON a.job_id = j.id
+		LEFT JOIN categories c ON j.category_id = c.id
+		WHERE a.freelancer_id = $1
+		ORDER BY a.applied_at DESC
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Calculate freelancer's earnings using a CTE
+freelancersRouter.get('/:id/earnings', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		WITH completed_projects AS (
+			SELECT p.id, p.total_amount
+			FROM projects p
+			WHERE p.freelancer_id = $1 AND p.status = 'completed'
+		)
+		SELECT COALESCE(SUM(total_amount), 0) AS total_earnings
+		FROM completed_projects
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows[0]);
+});
+
+// Calculate cumulative earnings over time
+freelancersRouter.get('/:id/earnings/cumulative', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			p.id,
+			p.end_date,
+			p.total_amount,
+			SUM(p.total_amount) OVER (ORDER BY p.end_date, p.id) AS cumulative_earnings
+		FROM projects p
+		WHERE p.freelancer_id = $1 AND p.status = 'completed'
+		ORDER BY p.end_date, p.id
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve job recommendations based on skills
+freelancersRouter.get('/:id/recommendations', async (req, res) => {
+	const limit = intQuery(req, 'limit', { fallback: 10, min: 1, max: 100 });
+	const result = await dbClient.query(
+		`
+		WITH matching_jobs AS (
+			SELECT j.id, j.title, COUNT(js.skill_id)::int AS matching_skills
+			FROM jobs j
+			JOIN job_skills js ON j.id = js.job_id
+			WHERE js.skill_id IN (
+					SELECT skill_id FROM freelancer_skills WHERE freelancer_id = $1
+				)
+				AND j.status = 'open'
+				AND NOT EXISTS (
+					SELECT 1 FROM applications a
+					WHERE a.job_id = j.id AND a.freelancer_id = $1
+				)
+			GROUP BY j.id, j.title
+		)
+		SELECT id, title, matching_skills
+		FROM matching_jobs
+		ORDER BY matching_skills DESC, id
+		LIMIT $2
+	`,
+		[idParam(req), limit]
+	);
+	res.json(result.rows);
+});
+
+// Get freelancer's project completion rate
+freelancersRouter.get('/:id/completion-rate', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			COUNT(*)::int AS total_projects,
+			COUNT(*) FILTER (WHERE status = 'completed')::int AS completed_projects,
+			COUNT(*) FILTER (WHERE status = 'completed') * 100.0
+				/ NULLIF(COUNT(*), 0) AS completion_rate
+		FROM projects
+		WHERE freelancer_id = $1
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows[0]);
+});
+
+// Get freelancer's review history. Reviewers are clients, so the name comes
+// from their company profile (or a freelancer profile, should one exist).
+freelancersRouter.get('/:id/reviews', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			r.id,
+			COALESCE(cp.company_name, fp.name) AS reviewer_name,
+			p.id AS project_id,
+			j.title AS job_title,
+			r.rating,
+			r.comment,
+			r.created_at
+		FROM reviews r
+		LEFT JOIN client_profiles cp ON r.reviewer_id = cp.id
+		LEFT JOIN freelancer_profiles fp ON r.reviewer_id = fp.id
+		JOIN projects p ON r.project_id = p.id
+		JOIN jobs j ON p.job_id = j.id
+		WHERE r.reviewee_id = $1
+		ORDER BY r.created_at DESC
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve freelancer's skill gaps for a job
+freelancersRouter.get('/:id/jobs/:jobId/skill-gaps', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT s.id, s.name AS missing_skill
+		FROM job_skills js
+		JOIN skills s ON js.skill_id = s.id
+		WHERE js.job_id = $2
+			AND s.id NOT IN (
+				SELECT skill_id FROM freelancer_skills WHERE freelancer_id = $1
+			)
+		ORDER BY s.name
+	`,
+		[idParam(req), idParam(req, 'jobId')]
+	);
+	res.json(result.rows);
+});
@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import { dbClient } from '../../db.mjs';
+import { searchJobs } from '../../search.mjs';
+import {
+	HttpError,
+	idParam,
+	intQuery,
+	numberQuery,
+	pageQuery,
+	stringQuery,
+} from '../validate.mjs';
+
+export const jobsRouter = Router();
+
+// Full-text search over open jobs: ?q=&category_id=&min_budget=&max_budget=&skill_id=
+// q takes words, "quoted phrases" and prefix* terms, see parseSearchQuery
+jobsRouter.get('/search', async (req, res) => {
+	const search = stringQuery(req, 'q');
+	const categoryId = intQuery(req, 'category_id', { fallback: null, min: 1 });
+	const skillId = intQuery(req, 'skill_id', { fallback: null, min: 1 });
+	const minBudget = numberQuery(req, 'min_budget');
+	const maxBudget = numberQuery(req, 'max_budget');
+	if (minBudget !== null && maxBudget !== null && minBudget > maxBudget) {
+		throw new HttpError(400, 'min_budget must not be greater than max_budget');
+	}
+	const { limit, offset } = pageQuery(req);
+
+	res.json(
+		await searchJobs({
+			query: search,
+			categoryId,
+			skillId,
+			minBudget,
+			maxBudget,
+			limit,
+			offset,
+		})
+	);
+});
+
+// Retrieve job postings with no applications
+jobsRouter.get('/without-applications', async (req, res) => {
+	const { limit, offset } = pageQuery(req);
+	const result = await dbClient.query(
+		`
+		SELECT j.id, j.title, j.created_at
+		FROM jobs j
+		LEFT JOIN applications a ON j.id = a.job_id
+		WHERE a.id IS NULL AND j.status = 'open'
+		ORDER BY j.created_at DESC, j.id DESC
+		LIMIT $1 OFFSET $2
+	`,
+		[limit, offset]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve job application details ranked by proposed rate
+jobsRouter.get('/:id/applications', async (req, res) => {
+	const result = await dbClient.query(
+		`
+		SELECT
+			a.id,
+			a.freelancer_id,
+			fp.name,
+			a.proposed_rate,
+			a.status,
+			RANK() OVER (ORDER BY a.proposed_rate ASC)::int AS rate_rank
+		FROM applications a
+		JOIN freelancer_profiles fp ON a.freelancer_id = fp.id
+		WHERE a.job_id = $1
+		ORDER BY a.proposed_rate ASC, a.id
+	`,
+		[idParam(req)]
+	);
+	res.json(result.rows);
+});
@@ -0,0 +1,154 @@
+import { Router } from 'express';
+import { dbClient, isEmbedded } from '../../db.mjs';
+import { leadingKeyword, splitStatements } from '../../utils/sql.mjs';
+import { HttpError } from '../validate.mjs';
+
+export const queryRouter = Router();
+
+// Upper bounds on what a request may ask for; also the defaults
+const MAX_ROWS = 1000;
+const MAX_TIMEOUT_MS = 5000;
+
+// Statements a cursor can be declared for, so only max_rows + 1 rows leave
+// the server
+const CURSOR_STATEMENTS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE']);
+// The only statements /query runs; EXPLAIN's few rows are cut short here
+const QUERY_STATEMENTS = new Set([...CURSOR_STATEMENTS, 'EXPLAIN']);
+
+// Created by queries/9-playground-role.sql with nothing but SELECT on the
+// tables
+const PLAYGROUND_ROLE = 'playground_ro';
+
+function bodyLimit(body, name, max) {
+	const value = body[name];
+	if (value === undefined) {
+		return max;
+	}
+	if (!Number.isInteger(value) || value < 1 || value > max) {
+		throw new HttpError(
+			400,
+			`"${name}" must be an integer between 1 and ${max}`
+		);
+	}
+	return value;
+}
+
+// Type names like numeric(10,2) for a result's fields
+async function columnTypes(client, fields) {
+	if (fields.length === 0) {
+		return [];
+	}
+	const result = await client.query(
+		`
+		SELECT format_type(f.oid, f.modifier) AS type
+		FROM unnest($1::oid[], $2::int[]) WITH ORDINALITY AS f(oid, modifier, n)
+		ORDER BY f.n
+	`,
+		[
+			fields.map((field) => field.dataTypeID),
+			fields.map((field) => field.dataTypeModifier ?? -1),
+		]
+	);
+	return fields.map((field, i) => ({
+		name: field.name,
+		type: result.rows[i].type,
+	}));
+}
+
+// The practice server's POST /query (practice/playground.js and
+// practice/db/postgres.js) takes and returns the same fields; port fixes
+// between the two.
+//
+// Run one user-supplied query as the playground role, in a READ ONLY
+// transaction under a statement_timeout, returning rows as arrays in column
+// order (so duplicate column names survive). The role keeps a superuser's
+// COPY ... TO and file functions out of reach, which READ ONLY alone
+// doesn't. The embedded database can't enforce the timeout, and a query
+// running there blocks every other request, so it gets a 501 instead.
+//
+// The statement goes over the extended protocol (queryMode: 'extended'),
+// where Postgres rejects more than one command, so nothing the splitter
+// misreads can COMMIT the transaction and write.
+queryRouter.post('/', async (req, res) => {
+	const body = req.body ?? {};
+	if (typeof body.sql !== 'string') {
+		throw new HttpError(400, '"sql" must be a string');
+	}
+	const maxRows = bodyLimit(body, 'max_rows', MAX_ROWS);
+	const timeoutMs = bodyLimit(body, 'timeout_ms', MAX_TIMEOUT_MS);
+
+	let statements;
+	try {
+		statements = splitStatements(body.sql);
+	} catch (error) {
+		throw new HttpError(400, error.message);
+	}
+	if (statements.length !== 1) {
+		throw new HttpError(
+			400,
+			`"sql" must hold exactly one statement, got ${statements.length}`
+		);
+	}
+	const [sql] = statements;
+	const keyword = leadingKeyword(sql);
+	if (!QUERY_STATEMENTS.has(keyword)) {
+		throw new HttpError(
+			400,
+			`"sql" must be a SELECT, WITH, VALUES, TABLE or EXPLAIN statement, got ${
+				keyword ?? 'something else'
+			}`
+		);
+	}
+
+	if (isEmbedded) {
+		throw new HttpError(
+			501,
+			"POST /query needs a PostgreSQL server: the embedded database can't time out a query, and one that runs long blocks the whole API"
+		);
+	}
+
+	const client = await dbClient.connect();
+	try {
+		await client.query('BEGIN READ ONLY');
+		await client.query(`SET LOCAL statement_timeout = ${timeoutMs}`);
+		await client.query(`SET LOCAL ROLE ${PLAYGROUND_ROLE}`);
+
+		const started = performance.now();
+		let result;
+		try {
+			if (CURSOR_STATEMENTS.has(keyword)) {
+				await client.query({
+					text: `DECLARE playground NO SCROLL CURSOR FOR ${sql}`,
+					queryMode: 'extended',
+				});
+				result = await client.query({
+					text: `FETCH ${maxRows + 1} FROM playground`,
+					rowMode: 'array',
+				});
+			} else {
+				result = await client.query({
+					text: sql,
+					rowMode: 'array',
+					queryMode: 'extended',
+				});
+			}
+		} catch (error) {
+			// Syntax errors, unknown columns, writes, timeouts...
+			throw new HttpError(400, error.message);
+		}
+		const durationMs = performance.now() - started;
+
+		res.json({
+			columns: await columnTypes(client, result.fields),
+			rows: result.rows.slice(0, maxRows),
+			row_count: Math.min(result.rows.length, maxRows),
+			truncated: result.rows.length > maxRows,
+			duration_ms: Math.round(durationMs * 100) / 100,
+		});
+	} finally {
+		// Never COMMIT: rolling back also undoes any SET the statement made to
+		// the pooled connection's session
+		await client.query('ROLLBACK').catch(() => {});
+		client.release();
+	}
+});
@@ -0,0 +1,145 @@
+import { Router } from 'express';
+import { dbClient } from '../../db.mjs';
+import { lastTopFreelancersRefresh } from '../../views.mjs';
+import { intQuery, pageQuery } from '../validate.mjs';
+
+// Platform-wide rankings and analytics
+export const statsRouter = Router();
+
+// Rank freelancers by average rating using window functions
+statsRouter.get('/freelancer-rankings', async (req, res) => {
+	const { limit, offset } = pageQuery(req);
+	const result = await dbClient.query(
+		`
+		SELECT
+			u.id,
+			fp.name,
+			u.average_rating,
+			RANK() OVER (ORDER BY u.average_rating DESC)::int AS rank
+		FROM users u
+		JOIN freelancer_profiles fp ON u.id = fp.id
+		WHERE u.user_type = 'freelancer'
+		ORDER BY rank, u.id
+		LIMIT $1 OFFSET $2
+	`,
+		[limit, offset]
+	);
+	res.json(result.rows);
+});
+
+// Top freelancers from the materialized view, with when it was last refreshed
+// so clients can tell how stale the ranking is (null if it never was)
+statsRouter.get('/top-freelancers', async (req, res) => {
+	const { limit, offset } = pageQuery(req);
+	const result = await dbClient.query(
+		`
+		SELECT id, name, average_rating, completed_projects::int
+		FROM top_freelancers
+		ORDER BY average_rating DESC, completed_projects DESC, id
+		LIMIT $1 OFFSET $2
+	`,
+		[limit, offset]
+	);
+	const refresh = await lastTopFreelancersRefresh();
+	res.json({
+		refreshed_at: refresh?.refreshed_at ?? null,
+		items: result.rows,
+	});
+});
+
+// Get top jobs by application count
+statsRouter.get('/top-jobs', async (req, res) => {
+	const limit = intQuery(req, 'limit', { fallback: 5, min: 1, max: 100 });
+	const result = await dbClient.query(
+		`
+		SELECT j.id, j.title, COUNT(a.id)::int AS application_count
+		FROM jobs j
+		JOIN applications a ON j.id = a.job_id
+		GROUP BY j.id, j.title
+		ORDER BY application_count DESC, j.id
+		LIMIT $1
+	`,
+		[limit]
+	);
+	res.json(result.rows);
+});
+
+// Calculate average time to hire per client, in days
+statsRouter.get('/time-to-hire', async (req, res) => {
+	const result = await dbClient.query(`
+		SELECT
+			j.client_id,
+			EXTRACT(EPOCH FROM AVG(p.start_date - j.created_at)) / 86400 AS avg_days_to_hire
+		FROM jobs j
+		JOIN projects p ON j.id = p.job_id
+		WHERE p.start_date IS NOT NULL
+		GROUP BY j.client_id
+		ORDER BY j.client_id
+	`);
+	res.json(result.rows);
+});
+
+// Find freelancers with no applications or project starts in the last N months
+statsRouter.get('/inactive-freelancers', async (req, res) => {
+	const months = intQuery(req, 'months', { fallback: 6, min: 1, max: 120 });
+	const { limit, offset } = pageQuery(req);
+	const result = await dbClient.query(
+		`
+		SELECT u.id, fp.name
+		FROM users u
+		JOIN freelancer_profiles fp ON u.id = fp.id
+		WHERE u.user_type = 'freelancer'
+			AND NOT EXISTS (
+				SELECT 1 FROM applications a
+				WHERE a.freelancer_id = u.id
+					AND a.applied_at >= NOW() - make_interval(months => $1)
+			)
+			AND NOT EXISTS (
+				SELECT 1 FROM projects p
+				WHERE p.freelancer_id = u.id
+					AND p.start_date >= NOW() - make_interval(months => $1)
+			)
+		ORDER BY u.id
+		LIMIT $2 OFFSET $3
+	`,
+		[months, limit, offset]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve top skills in demand
+statsRouter.get('/top-skills', async (req, res) => {
+	const limit = intQuery(req, 'limit', { fallback: 3, min: 1, max: 100 });
+	const result = await dbClient.query(
+		`
+		SELECT s.id, s.name, COUNT(js.skill_id)::int AS demand_count
+		FROM skills s
+		JOIN job_skills js ON s.id = js.skill_id
+		GROUP BY s.id, s.name
+		ORDER BY demand_count DESC, s.name
+		LIMIT $1
+	`,
+		[limit]
+	);
+	res.json(result.rows);
+});
+
+// Retrieve top clients by total spending
+statsRouter.get('/top-clients', async (req, res) => {
+	const limit = intQuery(req, 'limit', { fallback: 5, min: 1, max: 100 });
+	const result = await dbClient.query(
+		`
+		SELECT u.id, cp.company_name, SUM(p.total_amount) AS total_spent
+		FROM users u
+		JOIN client_profiles cp ON u.id = cp.id
+		JOIN jobs j ON u.id = j.client_id
+		JOIN projects p ON j.id = p.job_id
+		WHERE u.user_type = 'client'
+		GROUP BY u.id, cp.company_name
+		ORDER BY total_spent DESC, u.id
+		LIMIT $1
+	`,
+		[limit]
+	);
+	res.json(result.rows);
+});
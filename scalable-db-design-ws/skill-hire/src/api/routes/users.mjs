@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import {
+	decodeCursor,
+	markNotificationsRead,
+	messageThread,
+	notificationFeed,
+} from '../../inbox.mjs';
+import {
+	booleanQuery,
+	cursorQuery,
+	HttpError,
+	idParam,
+	intQuery,
+} from '../validate.mjs';
+
+export const usersRouter = Router();
+
+// Inbox pages are { items, next_cursor }; pass next_cursor back as ?cursor=
+// for the next (older) page until it comes back null
+function inboxPage(req) {
+	return {
+		limit: intQuery(req, 'limit', { fallback: 50, min: 1, max: 200 }),
+		cursor: cursorQuery(req, decodeCursor),
+	};
+}
+
+// Notification feed, newest first: ?unread=true&limit=&cursor=
+usersRouter.get('/:id/notifications', async (req, res) => {
+	res.json(
+		await notificationFeed(idParam(req), {
+			...inboxPage(req),
+			unreadOnly: booleanQuery(req, 'unread'),
+		})
+	);
+});
+
+// Retrieve unread notifications for a user
+usersRouter.get('/:id/notifications/unread', async (req, res) => {
+	res.json(
+		await notificationFeed(idParam(req), {
+			...inboxPage(req),
+			unreadOnly: true,
+		})
+	);
+});
+
+// Bulk mark as read. Body: { "ids": [1, 2] }, { "before": "<timestamp>" }
+// or {} for every unread notification
+usersRouter.post('/:id/notifications/read', async (req, res) => {
+	const userId = idParam(req);
+	const { ids, before } = req.body ?? {};
+
+	if (
+		ids !== undefined &&
+		(!Array.isArray(ids) ||
+			ids.length === 0 ||
+			ids.length > 1000 ||
+			!ids.every((id) => Number.isInteger(id) && id > 0))
+	) {
+		throw new HttpError(
+			400,
+			'"ids" must be an array of 1 to 1000 positive integers'
+		);
+	}
+	if (
+		before !== undefined &&
+		(typeof before !== 'string' || Number.isNaN(new Date(before).getTime()))
+	) {
+		throw new HttpError(400, '"before" must be a timestamp string');
+	}
+
+	const updated = await markNotificationsRead(userId, {
+		ids: ids ?? null,
+		before: before ?? null,
+	});
+	res.json({ updated });
+});
+
+// Conversation between two users, newest first: ?limit=&cursor=
+usersRouter.get('/:id/messages/:otherId', async (req, res) => {
+	res.json(
+		await messageThread(idParam(req), idParam(req, 'otherId'), inboxPage(req))
+	);
+});
@@ -0,0 +1,121 @@
+// Request validation for the API routes. Each helper returns the parsed
+// value or throws an HttpError that the app's error handler turns into a
+// JSON response.
+
+export class HttpError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.name = 'HttpError';
+		this.status = status;
+	}
+}
+
+export function notFound(what) {
+	return new HttpError(404, `${what} not found`);
+}
+
+function parseInteger(label, value, { min = 0, max = Infinity } = {}) {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < min || number > max) {
+		const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+		throw new HttpError(
+			400,
+			`${label} must be an integer ${range}, got "${value}"`
+		);
+	}
+	return number;
+}
+
+// Route ids like /freelancers/:id
+export function idParam(req, name = 'id') {
+	return parseInteger(`Path parameter "${name}"`, req.params[name], {
+		min: 1,
+	});
+}
+
+export function intQuery(req, name, { fallback, ...range } = {}) {
+	const value = req.query[name];
+	if (value === undefined || value === '') {
+		return fallback;
+	}
+	return parseInteger(`Query parameter "${name}"`, value, range);
+}
+
+export function numberQuery(req, name) {
+	const value = req.query[name];
+	if (value === undefined || value === '') {
+		return null;
+	}
+
+	const number = Number(value);
+	if (!Number.isFinite(number) || number < 0) {
+		throw new HttpError(
+			400,
+			`Query parameter "${name}" must be a non-negative number, got "${value}"`
+		);
+	}
+	return number;
+}
+
+export function stringQuery(req, name, { maxLength = 200 } = {}) {
+	const value = req.query[name];
+	if (value === undefined || value === '') {
+		return null;
+	}
+	if (typeof value !== 'string' || value.length > maxLength) {
+		throw new HttpError(
+			400,
+			`Query parameter "${name}" must be a single string of at most ${maxLength} characters`
+		);
+	}
+	return value.trim();
+}
+
+// Comma-separated values, e.g. ?skills=React,Node.js
+export function listQuery(req, name) {
+	const value = stringQuery(req, name, { maxLength: 1000 });
+	if (value === null) {
+		return [];
+	}
+	return value
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+// limit/offset for endpoints that can return a lot of rows
+export function pageQuery(req, { limit = 50, maxLimit = 200 } = {}) {
+	return {
+		limit: intQuery(req, 'limit', { fallback: limit, min: 1, max: maxLimit }),
+		offset: intQuery(req, 'offset', { fallback: 0 }),
+	};
+}
+
+// ?unread=true / ?unread=false
+export function booleanQuery(req, name, fallback = false) {
+	const value = req.query[name];
+	if (value === undefined || value === '') {
+		return fallback;
+	}
+	if (value !== 'true' && value !== 'false') {
+		throw new HttpError(
+			400,
+			`Query parameter "${name}" must be true or false, got "${value}"`
+		);
+	}
+	return value === 'true';
+}
+
+// Opaque keyset cursor, checked here so a bad one is a 400 rather than a 500
+export function cursorQuery(req, decode) {
+	const cursor = stringQuery(req, 'cursor', { maxLength: 500 });
+	if (cursor === null) {
+		return null;
+	}
+	try {
+		decode(cursor);
+	} catch {
+		throw new HttpError(400, 'Query parameter "cursor" is not a valid cursor');
+	}
+	return cursor;
+}
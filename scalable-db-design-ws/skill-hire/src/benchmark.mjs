@@ -0,0 +1,352 @@
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { faker } from '@faker-js/faker';
+import { withTransaction } from './db.mjs';
+
+export const ACCESS_PATTERNS_FILE = fileURLToPath(
+	new URL('../docs/3. Access-Patterns.md', import.meta.url)
+);
+
+// A "## Title" heading followed by its ```sql block
+const SECTION = /^## (.+)\n(?:(?!^## )[\s\S])*?^```sql\n([\s\S]*?)^```/gm;
+
+// :name placeholders, but not the second half of a ::type cast
+const PLACEHOLDER = /(?<!:):([a-z_]+)/g;
+
+// Where each placeholder's values come from. Placeholders sharing a `source`
+// are filled from the same row in a run, so the search terms, category,
+// budget and skill all come from one open job and the search finds it.
+const SOURCES = {
+	freelancer: 'SELECT id, skills FROM freelancer_profiles ORDER BY id',
+	client: 'SELECT id FROM client_profiles ORDER BY id',
+	job: 'SELECT id FROM jobs ORDER BY id',
+	user: 'SELECT id FROM users ORDER BY id',
+	openJob: `
+		SELECT j.id, j.title, j.category_id, j.budget_amount,
+			(SELECT MIN(js.skill_id) FROM job_skills js WHERE js.job_id = j.id) AS skill_id
+		FROM jobs j
+		WHERE j.status = 'open'
+		ORDER BY j.id
+	`,
+};
+
+function titleWords(row) {
+	return row.title.match(/[A-Za-z]+/g) ?? [];
+}
+
+function longestWord(row) {
+	return titleWords(row).reduce(
+		(longest, word) => (word.length > longest.length ? word : longest),
+		''
+	);
+}
+
+const PARAMETERS = {
+	freelancer_id: { type: 'int', source: 'freelancer', value: (row) => row.id },
+	required_skills: {
+		type: 'jsonb',
+		source: 'freelancer',
+		value: (row) => JSON.stringify(row.skills.slice(0, 2)),
+	},
+	client_id: { type: 'int', source: 'client', value: (row) => row.id },
+	job_id: { type: 'int', source: 'job', value: (row) => row.id },
+	user_id: { type: 'int', source: 'user', value: (row) => row.id },
+	words: { type: 'text', source: 'openJob', value: longestWord },
+	phrase: {
+		type: 'text',
+		source: 'openJob',
+		value: (row) => titleWords(row).slice(0, 2).join(' '),
+	},
+	prefix: {
+		type: 'text',
+		source: 'openJob',
+		// to_tsquery rejects a bare ':*'
+		value: (row) => longestWord(row).slice(0, 3) || 'a',
+	},
+	category_id: {
+		type: 'int',
+		source: 'openJob',
+		value: (row) => row.category_id,
+	},
+	skill_id: { type: 'int', source: 'openJob', value: (row) => row.skill_id },
+	min_budget: {
+		type: 'numeric',
+		source: 'openJob',
+		value: (row) => (Number(row.budget_amount) / 2).toFixed(2),
+	},
+	max_budget: {
+		type: 'numeric',
+		source: 'openJob',
+		value: (row) => (Number(row.budget_amount) * 2).toFixed(2),
+	},
+};
+
+function slugify(title) {
+	return title
+		.toLowerCase()
+		.replace(/'/g, '')
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse every "## Title" + ```sql section of the access patterns doc into
+ * `{name, title, sql, parameters}`, with the :name placeholders turned into
+ * typed $n parameters in order of first use.
+ */
+export async function loadAccessPatterns(file = ACCESS_PATTERNS_FILE) {
+	const markdown = await readFile(file, 'utf8');
+	const patterns = [];
+
+	for (const [, title, body] of markdown.matchAll(SECTION)) {
+		const parameters = [];
+		const sql = body
+			.trim()
+			.replace(/;$/, '')
+			.replace(PLACEHOLDER, (_, name) => {
+				if (!PARAMETERS[name]) {
+					throw new Error(`No values for :${name} in "${title}"`);
+				}
+				if (!parameters.includes(name)) {
+					parameters.push(name);
+				}
+				return `$${parameters.indexOf(name) + 1}::${PARAMETERS[name].type}`;
+			});
+		patterns.push({ name: slugify(title), title, sql, parameters });
+	}
+	return patterns;
+}
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, p) {
+	return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function round(ms) {
+	return Math.round(ms * 1000) / 1000;
+}
+
+function collectIndexNames(plan, names = new Set()) {
+	if (plan['Index Name']) {
+		names.add(plan['Index Name']);
+	}
+	for (const child of plan.Plans ?? []) {
+		collectIndexNames(child, names);
+	}
+	return names;
+}
+
+// Every index in the schema, leaving out the per-partition copies of a
+// partitioned index. `constraint` marks the ones backing a primary key or
+// unique constraint, which stay needed even when no query scans them.
+async function listIndexes(client) {
+	const indexes = await client.query(`
+		SELECT
+			i.relname AS name,
+			t.relname AS table,
+			CASE c.contype WHEN 'p' THEN 'primary key' WHEN 'u' THEN 'unique' END AS constraint
+		FROM pg_index x
+		JOIN pg_class i ON i.oid = x.indexrelid
+		JOIN pg_class t ON t.oid = x.indrelid
+		LEFT JOIN pg_constraint c
+			ON c.conindid = x.indexrelid AND c.conrelid = x.indrelid AND c.contype IN ('p', 'u')
+		WHERE t.relnamespace = current_schema()::regnamespace
+			AND NOT i.relispartition
+		ORDER BY t.relname, i.relname
+	`);
+
+	// Partition index -> the index it was created from
+	const parents = await client.query(`
+		SELECT child.relname AS name, parent.relname AS parent
+		FROM pg_inherits
+		JOIN pg_class child ON child.oid = pg_inherits.inhrelid
+		JOIN pg_class parent ON parent.oid = pg_inherits.inhparent
+		WHERE child.relkind = 'i'
+	`);
+	const parentOf = new Map(parents.rows.map((row) => [row.name, row.parent]));
+
+	return {
+		indexes: indexes.rows,
+		rootIndex: (name) => {
+			while (parentOf.has(name)) {
+				name = parentOf.get(name);
+			}
+			return name;
+		},
+	};
+}
+
+/**
+ * Run each access pattern `warmup + runs` times with fresh parameters drawn
+ * from the seeded data (same `seed`, same data: same parameters), under
+ * EXPLAIN (ANALYZE, BUFFERS) in one read-only transaction. Latency is the
+ * planning plus execution time Postgres reports, so it leaves out the
+ * network but includes EXPLAIN's own instrumentation overhead.
+ */
+export async function benchmarkAccessPatterns({
+	only,
+	runs = 20,
+	warmup = 2,
+	seed,
+}) {
+	faker.seed(seed);
+	const patterns = (await loadAccessPatterns()).filter(
+		(pattern) => !only || only.includes(pattern.name)
+	);
+
+	return withTransaction(async (client) => {
+		await client.query('SET TRANSACTION READ ONLY');
+
+		const sourceRows = new Map();
+		const loadSource = async (source) => {
+			if (!sourceRows.has(source)) {
+				sourceRows.set(source, (await client.query(SOURCES[source])).rows);
+			}
+			return sourceRows.get(source);
+		};
+
+		const drawParameters = async (names) => {
+			const rows = new Map();
+			const values = [];
+			for (const name of names) {
+				const { source, value } = PARAMETERS[name];
+				if (!rows.has(source)) {
+					const candidates = await loadSource(source);
+					if (candidates.length === 0) {
+						throw new Error(`No rows to draw :${name} from, seed first`);
+					}
+					rows.set(source, faker.helpers.arrayElement(candidates));
+				}
+				values.push(value(rows.get(source)));
+			}
+			return values;
+		};
+
+		const { indexes, rootIndex } = await listIndexes(client);
+		const results = [];
+
+		for (const pattern of patterns) {
+			console.log(`⏱️  ${pattern.name}`);
+			const samples = [];
+			for (let run = 0; run < warmup + runs; run++) {
+				const values = await drawParameters(pattern.parameters);
+				const result = await client.query(
+					`EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${pattern.sql}`,
+					values
+				);
+				const [explain] = result.rows[0]['QUERY PLAN'];
+				if (run >= warmup) {
+					samples.push({
+						values,
+						plan: explain.Plan,
+						ms: explain['Planning Time'] + explain['Execution Time'],
+					});
+				}
+			}
+
+			const indexesUsed = new Set();
+			for (const sample of samples) {
+				for (const name of collectIndexNames(sample.plan)) {
+					indexesUsed.add(rootIndex(name));
+				}
+			}
+
+			// The median run is the representative one: its parameters, rows,
+			// buffers and plan go into the report
+			const sorted = [...samples].sort((a, b) => a.ms - b.ms);
+			const median = percentile(sorted, 0.5);
+			const textPlan = await client.query(
+				`EXPLAIN (ANALYZE, BUFFERS) ${pattern.sql}`,
+				median.values
+			);
+
+			results.push({
+				name: pattern.name,
+				title: pattern.title,
+				p50_ms: round(median.ms),
+				p95_ms: round(percentile(sorted, 0.95).ms),
+				rows: median.plan['Actual Rows'],
+				shared_hit_blocks: median.plan['Shared Hit Blocks'],
+				shared_read_blocks: median.plan['Shared Read Blocks'],
+				indexes: [...indexesUsed].sort(),
+				parameters: Object.fromEntries(
+					pattern.parameters.map((name, index) => [name, median.values[index]])
+				),
+				plan: textPlan.rows.map((row) => row['QUERY PLAN']).join('\n'),
+			});
+		}
+
+		const indexReport = indexes.map((index) => ({
+			...index,
+			used_by: results
+				.filter((result) => result.indexes.includes(index.name))
+				.map((result) => result.name),
+		}));
+
+		return {
+			generated_at: new Date().toISOString(),
+			seed,
+			runs,
+			warmup,
+			queries: results,
+			indexes: indexReport,
+			unused_indexes: indexReport
+				.filter((index) => index.used_by.length === 0)
+				.map((index) => index.name),
+		};
+	});
+}
+
+function escapeCell(value) {
+	return String(value ?? '').replace(/\|/g, '\\|');
+}
+
+function markdownTable(headers, rows) {
+	return [
+		`| ${headers.join(' | ')} |`,
+		`| ${headers.map(() => '---').join(' | ')} |`,
+		...rows.map((row) => `| ${row.map(escapeCell).join(' | ')} |`),
+	].join('\n');
+}
+
+export function benchmarkToMarkdown(report) {
+	const sections = [
+		'# SkillHire: Access Pattern Benchmark',
+		`Generated ${report.generated_at} with seed ${report.seed}: ` +
+			`${report.runs} runs per query after ${report.warmup} warm-up runs. ` +
+			'Latency is planning + execution time from EXPLAIN ANALYZE.',
+		'## Queries',
+		markdownTable(
+			['Query', 'p50 (ms)', 'p95 (ms)', 'Rows', 'Buffers hit/read', 'Indexes'],
+			report.queries.map((query) => [
+				query.title,
+				query.p50_ms,
+				query.p95_ms,
+				query.rows,
+				`${query.shared_hit_blocks}/${query.shared_read_blocks}`,
+				query.indexes.map((name) => `\`${name}\``).join(', ') || '_none_',
+			])
+		),
+		'## Indexes',
+		markdownTable(
+			['Index', 'Table', 'Constraint', 'Used by'],
+			report.indexes.map((index) => [
+				`\`${index.name}\``,
+				index.table,
+				index.constraint,
+				index.used_by.join(', ') || '**never used**',
+			])
+		),
+		'## Plans',
+		'Median run of each query, with its parameters.',
+	];
+
+	for (const query of report.queries) {
+		sections.push(
+			`### ${query.title}`,
+			'```json\n' + JSON.stringify(query.parameters) + '\n```',
+			'```\n' + query.plan + '\n```'
+		);
+	}
+	return sections.join('\n\n') + '\n';
+}
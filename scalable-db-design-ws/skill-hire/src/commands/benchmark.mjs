@@ -0,0 +1,95 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+	benchmarkAccessPatterns,
+	benchmarkToMarkdown,
+	loadAccessPatterns,
+} from '../benchmark.mjs';
+import { randomSeed } from '../seeds/random.mjs';
+import { parseCount, parseList } from '../utils/args.mjs';
+
+export const BENCHMARK_USAGE = `Usage: skill-hire benchmark [options]
+
+Runs every query from docs/3. Access-Patterns.md against the seeded database
+with parameters drawn from its rows, under EXPLAIN (ANALYZE, BUFFERS). Reports
+p50/p95 latency per query and which indexes the plans used or never used, as
+access-patterns.json and access-patterns.md in --out.
+
+Options:
+  --only <queries>  Comma-separated queries to run (default: all, see --list)
+  --runs <n>        Measured runs per query (default: 20)
+  --warmup <n>      Unmeasured runs per query first, to warm the cache (default: 2)
+  --seed <n>        Seed for drawing parameters; same seed and data, same parameters
+  --out <dir>       Directory for the reports (default: benchmarks)
+  --list            List the queries and exit
+  -h, --help        Show this help`;
+
+export async function runBenchmark(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			only: { type: 'string' },
+			runs: { type: 'string' },
+			warmup: { type: 'string' },
+			seed: { type: 'string' },
+			out: { type: 'string' },
+			list: { type: 'boolean' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	if (values.help) {
+		console.log(BENCHMARK_USAGE);
+		return;
+	}
+
+	const patterns = await loadAccessPatterns();
+	if (values.list) {
+		console.table(
+			patterns.map(({ name, parameters }) => ({
+				name,
+				parameters: parameters.join(', '),
+			}))
+		);
+		return;
+	}
+
+	const only = parseList(
+		'only',
+		values.only,
+		patterns.map((pattern) => pattern.name)
+	);
+	const runs = parseCount('runs', values.runs, 20);
+	if (runs === 0) {
+		throw new Error('--runs must be at least 1');
+	}
+	const warmup = parseCount('warmup', values.warmup, 2);
+	const seed = parseCount('seed', values.seed, randomSeed());
+	const out = values.out ?? 'benchmarks';
+
+	console.log(`🎲 Drawing parameters with seed ${seed}`);
+	const report = await benchmarkAccessPatterns({ only, runs, warmup, seed });
+
+	console.table(
+		report.queries.map(({ name, p50_ms, p95_ms, rows, indexes }) => ({
+			name,
+			p50_ms,
+			p95_ms,
+			rows,
+			indexes: indexes.join(', '),
+		}))
+	);
+	console.log(
+		`📭 Never used (${report.unused_indexes.length}): ${
+			report.unused_indexes.join(', ') || 'none'
+		}`
+	);
+
+	await mkdir(out, { recursive: true });
+	const jsonFile = path.join(out, 'access-patterns.json');
+	const markdownFile = path.join(out, 'access-patterns.md');
+	await writeFile(jsonFile, JSON.stringify(report, null, 2) + '\n');
+	await writeFile(markdownFile, benchmarkToMarkdown(report));
+	console.log(`✅ Wrote ${jsonFile} and ${markdownFile}`);
+}
@@ -0,0 +1,83 @@
+import { parseArgs } from 'node:util';
+import {
+	migrateBaseline,
+	migrateDown,
+	migrateUp,
+	migrationStatus,
+} from '../migrate.mjs';
+import { parseCount } from '../utils/args.mjs';
+
+export const MIGRATE_USAGE = `Usage: skill-hire migrate <up|status|down|baseline> [options]
+
+Applies the numbered SQL files in queries/ and records them in schema_migrations.
+
+Subcommands:
+  up           Apply all pending migrations in order
+  status       List migrations and whether they are applied, pending or modified
+  down         Revert applied migrations using their .down.sql files
+  baseline     Record migrations up to --through as applied without running
+               them, for a database where those files were run by hand
+
+Options:
+  --steps <n>    Migrations to revert with "down" (default: 1)
+  --through <n>  Last migration version "baseline" records (required)
+  -h, --help     Show this help`;
+
+export async function runMigrate(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			steps: { type: 'string' },
+			through: { type: 'string' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	const [subcommand] = positionals;
+	if (values.help || !subcommand) {
+		console.log(MIGRATE_USAGE);
+		return;
+	}
+
+	switch (subcommand) {
+		case 'up':
+			await migrateUp();
+			break;
+
+		case 'down':
+			await migrateDown(parseCount('steps', values.steps, 1));
+			break;
+
+		case 'baseline':
+			if (values.through === undefined) {
+				throw new Error(
+					'baseline needs --through <version>: the last migration already applied by hand'
+				);
+			}
+			await migrateBaseline(parseCount('through', values.through));
+			break;
+
+		case 'status': {
+			const status = await migrationStatus();
+			console.table(
+				status.map((migration) => ({
+					version: migration.version,
+					name: migration.name,
+					state: migration.state,
+					applied_at: migration.applied_at?.toISOString() ?? '',
+					down: migration.reversible ? 'yes' : 'no',
+				}))
+			);
+			if (status.some((migration) => migration.state === 'modified')) {
+				console.log(
+					'⚠️  Modified migrations were edited after being applied; "up" will refuse to run'
+				);
+			}
+			break;
+		}
+
+		default:
+			throw new Error(`Unknown migrate subcommand: ${subcommand}`);
+	}
+}
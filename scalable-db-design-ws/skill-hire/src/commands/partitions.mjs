@@ -0,0 +1,128 @@
+import { parseArgs } from 'node:util';
+import { dbClient, withTransaction } from '../db.mjs';
+import {
+	addMonths,
+	ensureMonthlyPartitions,
+	listPartitions,
+	PARTITIONED_TABLES,
+	prunePartitions,
+} from '../partitions.mjs';
+import { parseCount, parseDate, parseList } from '../utils/args.mjs';
+
+export const PARTITIONS_USAGE = `Usage: skill-hire partitions <list|ensure|prune> [options]
+
+Manages the monthly partitions of messages and notifications.
+
+Subcommands:
+  list                    Show each partition and its range
+  ensure                  Create the DEFAULT partition and any missing month in --from..--to
+  prune                   Detach partitions that ended before the retention period
+
+Options:
+  --tables <tables>       Tables to manage: messages,notifications (default: both)
+  --from <date>           First month to create with "ensure" (required)
+  --to <date>             Last month to create with "ensure" (default: --from)
+  --retention-months <n>  Months to keep with "prune", counting the current one; at least 1 (default: 12)
+  --drop                  Drop pruned partitions instead of only detaching them
+  -h, --help              Show this help`;
+
+export async function runPartitions(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			tables: { type: 'string' },
+			from: { type: 'string' },
+			to: { type: 'string' },
+			'retention-months': { type: 'string' },
+			drop: { type: 'boolean' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	const [subcommand] = positionals;
+	if (values.help || !subcommand) {
+		console.log(PARTITIONS_USAGE);
+		return;
+	}
+
+	const tables = parseList(
+		'tables',
+		values.tables,
+		Object.keys(PARTITIONED_TABLES)
+	);
+
+	switch (subcommand) {
+		case 'list': {
+			const rows = [];
+			for (const table of tables) {
+				for (const partition of await listPartitions(dbClient, table)) {
+					rows.push({
+						table,
+						partition: partition.name,
+						from: partition.isDefault
+							? 'DEFAULT'
+							: partition.from.toISOString(),
+						to: partition.isDefault ? '' : partition.to.toISOString(),
+					});
+				}
+			}
+			console.table(rows);
+			break;
+		}
+
+		case 'ensure': {
+			const from = parseDate('from', values.from, undefined);
+			if (!from) {
+				throw new Error('--from is required for "partitions ensure"');
+			}
+			const to = parseDate('to', values.to, from);
+
+			await withTransaction(async (client) => {
+				for (const table of tables) {
+					const created = await ensureMonthlyPartitions(
+						client,
+						table,
+						from,
+						to
+					);
+					console.log(`✅ ${table}: ${created.length} partition(s) created`);
+				}
+			});
+			break;
+		}
+
+		case 'prune': {
+			const retentionMonths = parseCount(
+				'retention-months',
+				values['retention-months'],
+				12
+			);
+			// 0 would put the cutoff next month and drop the current partition
+			if (retentionMonths < 1) {
+				throw new Error(
+					`--retention-months must be at least 1, got ${retentionMonths}`
+				);
+			}
+			const before = addMonths(new Date(), 1 - retentionMonths);
+
+			await withTransaction(async (client) => {
+				for (const table of tables) {
+					const pruned = await prunePartitions(client, table, {
+						before,
+						drop: values.drop ?? false,
+					});
+					console.log(
+						`✅ ${table}: ${pruned.length} partition(s) ended before ${before
+							.toISOString()
+							.slice(0, 10)}`
+					);
+				}
+			});
+			break;
+		}
+
+		default:
+			throw new Error(`Unknown partitions subcommand: ${subcommand}`);
+	}
+}
@@ -0,0 +1,50 @@
+import { parseArgs } from 'node:util';
+import { parseCount } from '../utils/args.mjs';
+import {
+	refreshTopFreelancers,
+	scheduleTopFreelancersRefresh,
+} from '../views.mjs';
+
+export const REFRESH_USAGE = `Usage: skill-hire refresh [options]
+
+Refreshes the top_freelancers materialized view with REFRESH MATERIALIZED VIEW
+CONCURRENTLY, so it stays readable meanwhile, and records the refresh time,
+duration and row count served by GET /stats/top-freelancers.
+
+Options:
+  --every <seconds>  Keep refreshing on this interval until interrupted
+                     (default: refresh once and exit)
+  -h, --help         Show this help`;
+
+export async function runRefresh(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			every: { type: 'string' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	if (values.help) {
+		console.log(REFRESH_USAGE);
+		return;
+	}
+
+	const every = parseCount('every', values.every, 0);
+	if (every === 0) {
+		await refreshTopFreelancers();
+		return;
+	}
+
+	console.log(`⏱️  Refreshing top_freelancers every ${every}s`);
+	const stop = scheduleTopFreelancersRefresh(every * 1000);
+	await new Promise((resolve) => {
+		const shutdown = () => {
+			console.log('👋 Shutting down...');
+			resolve();
+		};
+		process.once('SIGINT', shutdown);
+		process.once('SIGTERM', shutdown);
+	});
+	await stop();
+}
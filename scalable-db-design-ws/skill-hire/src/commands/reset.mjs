@@ -0,0 +1,49 @@
+import { parseArgs } from 'node:util';
+import { truncateAll } from '../reset.mjs';
+import { refreshTopFreelancers } from '../views.mjs';
+import {
+	SEED_OPTIONS,
+	seedOptionsFromValues,
+	runSeedWithOptions,
+} from './seed.mjs';
+
+export const RESET_USAGE = `Usage: skill-hire reset [--reseed] [seed options]
+
+Truncates every SkillHire table with RESTART IDENTITY CASCADE and refreshes
+the top_freelancers materialized view. Schema and schema_migrations are kept;
+tables and views that pending migrations would create are skipped.
+
+Options:
+  --reseed     Seed again after truncating; accepts every "skill-hire seed"
+               option (--users, --seed, --copy, ...), see "seed --help"
+  -h, --help   Show this help`;
+
+export async function runReset(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			...SEED_OPTIONS,
+			reseed: { type: 'boolean' },
+		},
+	});
+
+	if (values.help) {
+		console.log(RESET_USAGE);
+		return;
+	}
+
+	const { reseed, ...seedValues } = values;
+	if (!reseed && Object.keys(seedValues).length > 0) {
+		throw new Error('Seed options need --reseed');
+	}
+
+	// Validate seed options before destroying anything
+	const seedOptions = reseed ? seedOptionsFromValues(seedValues) : null;
+
+	await truncateAll();
+	if (seedOptions) {
+		await runSeedWithOptions(seedOptions);
+	}
+	// Like the truncate, work on a database that isn't fully migrated
+	await refreshTopFreelancers({ requireLog: false });
+}
@@ -0,0 +1,227 @@
+import { parseArgs } from 'node:util';
+import {
+	seedUsersWithProfiles,
+	seedSkills,
+	verifySeeding,
+} from '../seeds/users.mjs';
+import { seedJobsAndRelatedData, verifyJobSeeding } from '../seeds/jobs.mjs';
+import {
+	seedMessages,
+	seedNotifications,
+	seedReviews,
+	DEFAULT_END_DATE,
+	DEFAULT_START_DATE,
+	verifyMessageSeeding,
+	verifyNotificationSeeding,
+	verifyReviewSeeding,
+} from '../seeds/messages.mjs';
+import {
+	DEFAULT_DISTRIBUTION,
+	DISTRIBUTION_NAMES,
+	DISTRIBUTION_PROFILES,
+} from '../seeds/distributions.mjs';
+import { isEmbedded } from '../db.mjs';
+import { randomSeed, seedStage } from '../seeds/random.mjs';
+import {
+	parseChoice,
+	parseCount,
+	parseDate,
+	parseList,
+} from '../utils/args.mjs';
+import { DEFAULT_BATCH_SIZE } from '../utils/insert.mjs';
+import { printLoadSummary } from '../utils/throughput.mjs';
+
+export const SEED_USAGE = `Usage: skill-hire seed [options]
+
+Options:
+  --users <n>          Users to create, 75% freelancers / 25% clients (default: 250)
+  --jobs <n>           Jobs to create, with applications, projects and milestones (default: 100)
+  --messages <n>       Messages to create, in threads between job and project participants (default: 5000)
+  --notifications <n>  Notifications to create from the seeded applications, payments and
+                       reviews, at most one per event (default: 3000)
+  --reviews <n>        Reviews to create, at most one per side of a completed
+                       project (default: all of those, max 500)
+  --batch-size <n>     Rows per INSERT statement, capped by the bind-parameter limit (default: 5000)
+  --copy <tables>      Load these tables with streaming COPY instead of INSERT: messages,notifications
+                       (a 1000-row INSERT sample is timed and rolled back for comparison)
+  --start-date <date>  Earliest sent_at / created_at for messages, notifications and reviews;
+                       users and jobs start two months earlier (default: 2025-01-01)
+  --end-date <date>    Latest sent_at / created_at; missing monthly partitions are created (default: 2025-03-31T23:59:59Z)
+  --distribution <name>
+                       How rows pick clients, skills, users and timestamps: uniform,
+                       zipf (a few popular ones get most rows) or realistic (zipf plus
+                       working-hours timestamps) (default: realistic)
+  --password <text>    Give every seeded user this password instead of a random one,
+                       so any of them can log in (stored hashed either way)
+  --seed <n>           Seed for the random generators; same seed and counts on an
+                       empty database give identical rows (default: random, printed)
+  --only <stages>      Comma-separated stages to run: skills,users,jobs,messages,reviews,notifications
+  -h, --help           Show this help`;
+
+// Stages run in this order no matter how --only lists them, since later
+// stages read the rows written by earlier ones. Notifications come last
+// because they are derived from applications, payments and reviews.
+const SEED_STAGES = [
+	{
+		name: 'skills',
+		run: () => seedSkills(),
+	},
+	{
+		name: 'users',
+		run: (counts, options) => seedUsersWithProfiles(counts.users, options),
+		verify: verifySeeding,
+	},
+	{
+		name: 'jobs',
+		run: (counts, options) => seedJobsAndRelatedData(counts.jobs, options),
+		verify: verifyJobSeeding,
+	},
+	{
+		name: 'messages',
+		run: (counts, options) =>
+			seedMessages(counts.messages, {
+				...options,
+				loader: options.copy.includes('messages') ? 'copy' : 'insert',
+			}),
+		verify: verifyMessageSeeding,
+	},
+	{
+		name: 'reviews',
+		run: (counts, options) => seedReviews(counts.reviews, options),
+		verify: verifyReviewSeeding,
+	},
+	{
+		name: 'notifications',
+		run: (counts, options) =>
+			seedNotifications(counts.notifications, {
+				...options,
+				loader: options.copy.includes('notifications') ? 'copy' : 'insert',
+			}),
+		verify: verifyNotificationSeeding,
+	},
+];
+
+// Tables whose seeders can stream rows through COPY FROM STDIN
+const COPY_TABLES = ['messages', 'notifications'];
+
+export const SEED_STAGE_NAMES = SEED_STAGES.map((stage) => stage.name);
+
+// Shared with commands that seed as a follow-up step, such as `reset --reseed`
+export const SEED_OPTIONS = {
+	users: { type: 'string' },
+	jobs: { type: 'string' },
+	messages: { type: 'string' },
+	notifications: { type: 'string' },
+	reviews: { type: 'string' },
+	only: { type: 'string' },
+	seed: { type: 'string' },
+	'batch-size': { type: 'string' },
+	copy: { type: 'string' },
+	'start-date': { type: 'string' },
+	'end-date': { type: 'string' },
+	password: { type: 'string' },
+	distribution: { type: 'string' },
+	help: { type: 'boolean', short: 'h' },
+};
+
+export function parseSeedOptions(args) {
+	const { values } = parseArgs({ args, options: SEED_OPTIONS });
+	return seedOptionsFromValues(values);
+}
+
+export function seedOptionsFromValues(values) {
+	const startDate = parseDate(
+		'start-date',
+		values['start-date'],
+		DEFAULT_START_DATE
+	);
+	const endDate = parseDate('end-date', values['end-date'], DEFAULT_END_DATE);
+	if (startDate > endDate) {
+		throw new Error('--start-date must not be after --end-date');
+	}
+	if (values.copy !== undefined && isEmbedded) {
+		throw new Error(
+			'--copy needs a PostgreSQL server, not the embedded database'
+		);
+	}
+
+	return {
+		help: values.help ?? false,
+		stages: parseList('only', values.only, SEED_STAGE_NAMES),
+		seed: parseCount('seed', values.seed, randomSeed()),
+		batchSize: parseCount(
+			'batch-size',
+			values['batch-size'],
+			DEFAULT_BATCH_SIZE
+		),
+		copy:
+			values.copy === undefined
+				? []
+				: parseList('copy', values.copy, COPY_TABLES),
+		startDate,
+		endDate,
+		password: values.password,
+		distribution: parseChoice(
+			'distribution',
+			values.distribution,
+			DISTRIBUTION_NAMES,
+			DEFAULT_DISTRIBUTION
+		),
+		counts: {
+			users: parseCount('users', values.users, 250),
+			jobs: parseCount('jobs', values.jobs, 100),
+			messages: parseCount('messages', values.messages, 5000),
+			notifications: parseCount('notifications', values.notifications, 3000),
+			// undefined lets seedReviews size itself from completed projects
+			reviews: parseCount('reviews', values.reviews, undefined),
+		},
+	};
+}
+
+export async function seed({
+	stages = SEED_STAGE_NAMES,
+	counts = {},
+	seed = randomSeed(),
+	batchSize = DEFAULT_BATCH_SIZE,
+	copy = [],
+	startDate = DEFAULT_START_DATE,
+	endDate = DEFAULT_END_DATE,
+	password,
+	distribution = DEFAULT_DISTRIBUTION,
+} = {}) {
+	for (const [stageIndex, stage] of SEED_STAGES.entries()) {
+		if (!stages.includes(stage.name)) continue;
+
+		seedStage(seed, stageIndex);
+		await stage.run(counts, {
+			batchSize,
+			copy,
+			startDate,
+			endDate,
+			password,
+			distribution: DISTRIBUTION_PROFILES[distribution],
+		});
+		if (stage.verify) {
+			await stage.verify();
+		}
+	}
+}
+
+export async function runSeed(args) {
+	const options = parseSeedOptions(args);
+	if (options.help) {
+		console.log(SEED_USAGE);
+		return;
+	}
+
+	await runSeedWithOptions(options);
+}
+
+export async function runSeedWithOptions(options) {
+	console.log(`🚀 Seeding stages: ${options.stages.join(', ')}`);
+	console.log(
+		`🎲 Using seed ${options.seed} and the ${options.distribution} distribution (pass --seed to reproduce)`
+	);
+	await seed(options);
+	printLoadSummary();
+}
@@ -0,0 +1,54 @@
+import { once } from 'node:events';
+import { parseArgs } from 'node:util';
+import { createApp } from '../api/app.mjs';
+import { parseCount } from '../utils/args.mjs';
+import { scheduleTopFreelancersRefresh } from '../views.mjs';
+
+export const SERVE_USAGE = `Usage: skill-hire serve [options]
+
+Serves the access patterns from docs/3. Access-Patterns.md as a JSON API.
+
+Options:
+  --port <n>                 Port to listen on (default: PORT or 3000)
+  --refresh-every <seconds>  Also refresh top_freelancers on this interval
+                             (default: never, see "skill-hire refresh")
+  -h, --help                 Show this help`;
+
+export async function runServe(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			port: { type: 'string' },
+			'refresh-every': { type: 'string' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	if (values.help) {
+		console.log(SERVE_USAGE);
+		return;
+	}
+
+	const port = parseCount('port', values.port ?? process.env.PORT, 3000);
+	const refreshEvery = parseCount('refresh-every', values['refresh-every'], 0);
+	const server = createApp().listen(port);
+	await once(server, 'listening');
+	console.log(`🌐 SkillHire API listening on http://localhost:${port}`);
+
+	const stopRefresh =
+		refreshEvery > 0
+			? scheduleTopFreelancersRefresh(refreshEvery * 1000)
+			: null;
+
+	// Resolve only once the server is closed, so the pool stays open
+	// for as long as requests can come in
+	await new Promise((resolve) => {
+		const shutdown = () => {
+			console.log('👋 Shutting down...');
+			server.close(resolve);
+		};
+		process.once('SIGINT', shutdown);
+		process.once('SIGTERM', shutdown);
+	});
+	await stopRefresh?.();
+}
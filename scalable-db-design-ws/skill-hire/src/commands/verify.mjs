@@ -0,0 +1,100 @@
+import { parseArgs } from 'node:util';
+import { parseCount, parseList } from '../utils/args.mjs';
+import { checkInvariants, INVARIANT_NAMES, INVARIANTS } from '../verify.mjs';
+
+export const VERIFY_USAGE = `Usage: skill-hire verify [options]
+
+Checks the denormalized fields and business rules from docs/2. Diagram Docs.md
+and lists every violating row. Exits with code 1 if any check fails.
+
+Options:
+  --only <checks>  Comma-separated checks to run (default: all, see --list)
+  --limit <n>      Violating rows to print per check (default: 20)
+  --json           Print the full results as JSON instead
+  --list           List the checks and exit
+  -h, --help       Show this help`;
+
+const MAX_LISTED_IDS = 50;
+
+export async function runVerify(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			only: { type: 'string' },
+			limit: { type: 'string' },
+			json: { type: 'boolean' },
+			list: { type: 'boolean' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	if (values.help) {
+		console.log(VERIFY_USAGE);
+		return;
+	}
+
+	if (values.list) {
+		console.table(
+			INVARIANTS.map(({ name, table, description }) => ({
+				name,
+				table,
+				description,
+			}))
+		);
+		return;
+	}
+
+	const only = parseList('only', values.only, INVARIANT_NAMES);
+	const limit = parseCount('limit', values.limit, 20);
+	const results = await checkInvariants({ only });
+	const failed = results.filter((result) => result.violations.length > 0);
+
+	if (values.json) {
+		console.log(
+			JSON.stringify(
+				results.map(({ name, table, description, violations }) => ({
+					name,
+					table,
+					description,
+					violations,
+				})),
+				null,
+				2
+			)
+		);
+	} else {
+		for (const result of results) {
+			if (result.violations.length === 0) {
+				console.log(`✅ ${result.name}: ${result.description}`);
+				continue;
+			}
+
+			const ids = result.violations.map((row) => row.id);
+			const more =
+				ids.length > MAX_LISTED_IDS
+					? ` ... and ${ids.length - MAX_LISTED_IDS} more (see --json)`
+					: '';
+			console.log(
+				`❌ ${result.name}: ${result.violations.length} violation(s) in ${result.table}. ${result.description}`
+			);
+			console.log(
+				`   ${result.table}.id: ${ids
+					.slice(0, MAX_LISTED_IDS)
+					.join(', ')}${more}`
+			);
+			if (limit > 0) {
+				console.table(result.violations.slice(0, limit));
+			}
+		}
+
+		console.log(
+			failed.length === 0
+				? `\n🎉 All ${results.length} checks passed`
+				: `\n❌ ${failed.length} of ${results.length} checks failed`
+		);
+	}
+
+	if (failed.length > 0) {
+		process.exitCode = 1;
+	}
+}
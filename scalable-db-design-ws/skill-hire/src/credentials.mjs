@@ -0,0 +1,199 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { dbClient } from './db.mjs';
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt cost parameters. N is the memory-hard part: each hash needs
+// 128 * N * r bytes, 128MB for the default below (OWASP's recommendation).
+export const DEFAULT_COST = { N: 2 ** 17, r: 8, p: 1 };
+
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const MIN_PASSWORD_LENGTH = 8;
+// The user_type enum in queries/1-initialization.sql
+const USER_TYPES = ['freelancer', 'client'];
+
+// Stored as scrypt$N$r$p$<salt>$<hash>, salt and hash in base64, so the
+// parameters can be raised later without invalidating existing hashes
+const HASH_FORMAT =
+	/^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+
+// `reason` tells callers which case they hit without parsing the message
+export class CredentialsError extends Error {
+	constructor(reason, message) {
+		super(message);
+		this.name = 'CredentialsError';
+		this.reason = reason;
+	}
+}
+
+function derive(password, salt, { N, r, p }) {
+	return scryptAsync(password.normalize('NFKC'), salt, KEY_LENGTH, {
+		N,
+		r,
+		p,
+		maxmem: 256 * N * r,
+	});
+}
+
+/**
+ * Hash `password` into a self-describing string for users.password.
+ * `salt` (a Buffer) is for reproducible seeding only; leave it out
+ * everywhere else.
+ */
+export async function hashPassword(
+	password,
+	{ cost = DEFAULT_COST, salt = randomBytes(SALT_LENGTH) } = {}
+) {
+	const hash = await derive(password, salt, cost);
+	return [
+		'scrypt',
+		cost.N,
+		cost.r,
+		cost.p,
+		salt.toString('base64'),
+		hash.toString('base64'),
+	].join('$');
+}
+
+function parseHash(stored) {
+	const match = HASH_FORMAT.exec(stored ?? '');
+	if (!match) {
+		return null;
+	}
+	const [, N, r, p, salt, hash] = match;
+	return {
+		cost: { N: Number(N), r: Number(r), p: Number(p) },
+		salt: Buffer.from(salt, 'base64'),
+		hash: Buffer.from(hash, 'base64'),
+	};
+}
+
+// False for a wrong password and for anything that isn't one of our hashes
+export async function verifyPassword(password, stored) {
+	const parsed = parseHash(stored);
+	if (!parsed) {
+		return false;
+	}
+	const hash = await derive(password, parsed.salt, parsed.cost);
+	return (
+		hash.length === parsed.hash.length && timingSafeEqual(hash, parsed.hash)
+	);
+}
+
+// Hashes made with weaker parameters than DEFAULT_COST (seeded users, or
+// after DEFAULT_COST is raised) are upgraded on the next successful login
+export function needsRehash(stored) {
+	const parsed = parseHash(stored);
+	return (
+		!parsed ||
+		parsed.cost.N < DEFAULT_COST.N ||
+		parsed.cost.r < DEFAULT_COST.r ||
+		parsed.cost.p < DEFAULT_COST.p
+	);
+}
+
+export function normalizeEmail(email) {
+	return String(email).trim().toLowerCase();
+}
+
+/**
+ * Create a user with a hashed password. Profiles are created separately.
+ * Throws CredentialsError with reason 'invalid_email', 'weak_password',
+ * 'invalid_user_type' or 'email_taken'.
+ */
+export async function register(
+	{ email, password, userType = 'freelancer' },
+	client = dbClient
+) {
+	const normalizedEmail = normalizeEmail(email);
+	if (!/^[^\s@]+@[^\s@]+$/.test(normalizedEmail)) {
+		throw new CredentialsError('invalid_email', 'Email address is invalid');
+	}
+	if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+		throw new CredentialsError(
+			'weak_password',
+			`Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+		);
+	}
+	if (!USER_TYPES.includes(userType)) {
+		throw new CredentialsError(
+			'invalid_user_type',
+			`User type must be one of ${USER_TYPES.join(', ')}`
+		);
+	}
+
+	try {
+		const result = await client.query(
+			`
+			INSERT INTO users (email, password, user_type)
+			VALUES ($1, $2, $3)
+			RETURNING id, email, user_type, account_status, created_at
+		`,
+			[normalizedEmail, await hashPassword(password), userType]
+		);
+		return result.rows[0];
+	} catch (error) {
+		// unique_violation on users.email
+		if (error.code === '23505') {
+			throw new CredentialsError(
+				'email_taken',
+				'An account with this email already exists'
+			);
+		}
+		throw error;
+	}
+}
+
+// Hashed at DEFAULT_COST and verified against whenever the user's own hash
+// costs less: an unknown email has none, and seeded users' are far cheaper.
+// Every login then spends at least one DEFAULT_COST derivation, so response
+// times don't reveal which emails exist.
+let dummyHash;
+
+/**
+ * Check an email/password pair and return the user. Throws
+ * CredentialsError with reason 'invalid_credentials' for an unknown email
+ * or wrong password, and 'suspended' for a suspended account (only reported
+ * once the password is known to be right).
+ */
+export async function login({ email, password }, client = dbClient) {
+	const result = await client.query(
+		`
+		SELECT id, email, password, user_type, account_status
+		FROM users
+		WHERE email = $1
+	`,
+		[normalizeEmail(email)]
+	);
+	const user = result.rows[0];
+
+	dummyHash ??= await hashPassword('not a real password');
+	const valid =
+		user !== undefined &&
+		(await verifyPassword(String(password ?? ''), user.password));
+	if (!user || needsRehash(user.password)) {
+		await verifyPassword(String(password ?? ''), dummyHash);
+	}
+	if (!user || !valid) {
+		throw new CredentialsError(
+			'invalid_credentials',
+			'Invalid email or password'
+		);
+	}
+
+	if (user.account_status === 'suspended') {
+		throw new CredentialsError('suspended', 'This account is suspended');
+	}
+
+	if (needsRehash(user.password)) {
+		await client.query('UPDATE users SET password = $1 WHERE id = $2', [
+			await hashPassword(String(password)),
+			user.id,
+		]);
+	}
+
+	const { password: _, ...account } = user;
+	return account;
+}
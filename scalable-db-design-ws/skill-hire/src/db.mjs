@@ -1,15 +1,62 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { createEmbeddedPool, isEmbeddedUrl } from './embedded.mjs';
 dotenv.config();
 
 const DB_URL = process.env.DATABASE_URL;
-if (!DB_URL) {
-	throw new Error('DATABASE_URL is not set');
+
+// Without DATABASE_URL the CLI still loads (for --help), and the first query
+// says what to set
+function missingDatabase() {
+	const fail = async () => {
+		throw new Error(
+			'DATABASE_URL is not set: point it at PostgreSQL, or use pglite:memory or pglite:<dir> for the embedded database'
+		);
+	};
+	return { query: fail, connect: fail, end: async () => {} };
 }
 
-export const dbClient = new pg.Pool({
-	connectionString: DB_URL,
-	max: 10,
-	idleTimeoutMillis: 30000,
-	connectionTimeoutMillis: 2000,
-});
+// True when queries run on the in-process PGlite database rather than a
+// server
+export const isEmbedded = isEmbeddedUrl(DB_URL);
+
+// Every session runs in UTC, like the seeders' timestamps, so dates and
+// partition bounds (see partitions.mjs) mean the same whatever the server's
+// or the database's default time zone
+const TIME_ZONE = 'UTC';
+
+function createPool() {
+	if (!DB_URL) {
+		return missingDatabase();
+	}
+	if (isEmbedded) {
+		return createEmbeddedPool(DB_URL, { timeZone: TIME_ZONE });
+	}
+	return new pg.Pool({
+		connectionString: DB_URL,
+		options: `-c TimeZone=${TIME_ZONE}`,
+		max: 10,
+		idleTimeoutMillis: 30000,
+		connectionTimeoutMillis: 2000,
+	});
+}
+
+export const dbClient = createPool();
+
+// Run `fn` inside a transaction on a single checked-out client. BEGIN,
+// COMMIT and ROLLBACK must go through the same connection, which pool.query
+// does not guarantee. Resolves with whatever `fn` returns.
+export async function withTransaction(fn) {
+	const client = await dbClient.connect();
+	try {
+		await client.query('BEGIN');
+		const result = await fn(client);
+		await client.query('COMMIT');
+		return result;
+	} catch (error) {
+		await client.query('ROLLBACK').catch(() => {});
+		throw error;
+	} finally {
+		client.release();
+	}
+}
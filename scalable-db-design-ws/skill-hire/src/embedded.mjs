@@ -0,0 +1,112 @@
+import { PGlite, types } from '@electric-sql/pglite';
+
+// DATABASE_URL=pglite:memory keeps the database in memory for the life of
+// the process; pglite:<dir> keeps it in that directory between runs
+export const EMBEDDED_PREFIX = 'pglite:';
+
+export function isEmbeddedUrl(url) {
+	return url?.startsWith(EMBEDDED_PREFIX) ?? false;
+}
+
+// pg hands BIGINT (COUNT(*), SUM, ...) back as a string, PGlite as a number
+const PARSERS = { [types.INT8]: (value) => value };
+
+function toPgResult(result) {
+	return {
+		rows: result.rows,
+		// pg counts the rows a SELECT returned and the rows a write touched
+		rowCount:
+			result.fields.length > 0 ? result.rows.length : result.affectedRows ?? 0,
+		fields: result.fields,
+	};
+}
+
+/**
+ * A pg.Pool stand-in backed by PGlite, a WASM build of Postgres running in
+ * this process. PGlite has a single session, so `connect()` hands out that
+ * session exclusively until `release()`: a transaction never sees another
+ * caller's queries, and every other query waits for it instead of running
+ * alongside. Two transactions that each wait on the other therefore
+ * deadlock, where a server would have let both in.
+ */
+export function createEmbeddedPool(url, { timeZone } = {}) {
+	const dataDir = url.slice(EMBEDDED_PREFIX.length);
+	const ready = PGlite.create(dataDir === 'memory' ? undefined : dataDir, {
+		parsers: PARSERS,
+	}).then(async (db) => {
+		if (timeZone) {
+			await db.query(`SELECT set_config('TimeZone', $1, false)`, [timeZone]);
+		}
+		return db;
+	});
+
+	let queue = Promise.resolve();
+	// Resolves with a release function once the session is ours
+	const acquire = () => {
+		let release;
+		const held = new Promise((resolve) => {
+			release = resolve;
+		});
+		const acquired = queue.then(() => release);
+		queue = queue.then(() => held);
+		return acquired;
+	};
+
+	// Takes pg's query(text, values) or query({ text, values, rowMode,
+	// queryMode }). Like pg, a query without parameters goes through the
+	// simple protocol and may hold several statements (the migrations do),
+	// unless queryMode is 'extended'; the result is the last statement's
+	const run = async (text, values) => {
+		let rowMode;
+		let queryMode;
+		if (typeof text !== 'string') {
+			if (typeof text?.text !== 'string') {
+				throw new Error(
+					'The embedded database only runs SQL text; COPY streams need a PostgreSQL server'
+				);
+			}
+			({ rowMode, queryMode } = text);
+			values = text.values ?? values;
+			text = text.text;
+		}
+		const db = await ready;
+		if (values?.length > 0 || queryMode === 'extended') {
+			return toPgResult(await db.query(text, values, { rowMode }));
+		}
+		const results = await db.exec(text, { rowMode });
+		return toPgResult(results.at(-1) ?? { rows: [], fields: [] });
+	};
+
+	let closed = false;
+	return {
+		embedded: true,
+
+		async query(text, values) {
+			const release = await acquire();
+			try {
+				return await run(text, values);
+			} finally {
+				release();
+			}
+		},
+
+		async connect() {
+			const release = await acquire();
+			return {
+				query: run,
+				release,
+			};
+		},
+
+		async end() {
+			if (closed) return;
+			closed = true;
+			const release = await acquire();
+			try {
+				await (await ready).close();
+			} finally {
+				release();
+			}
+		},
+	};
+}
@@ -0,0 +1,140 @@
+import { dbClient } from './db.mjs';
+
+// Message threads and notification feeds, newest first, paged with keyset
+// cursors on (timestamp, id) instead of OFFSET, so page 500 costs the same
+// as page 1. Both are served by the indexes in queries/5-inbox-indexes.sql.
+
+// The cursor's timestamp travels as microseconds since the epoch: JS Dates
+// only keep milliseconds, and a truncated timestamp would skip or repeat
+// rows that share the millisecond
+function cursorMicros(column) {
+	return `(EXTRACT(EPOCH FROM ${column}) * 1000000)::bigint::text AS cursor_micros`;
+}
+
+// `(sent_at, id) < (cursor)` for the page after `cursor`, or nothing for
+// the first page. Appends the cursor's values to `params`.
+function keysetCondition(columns, cursor, params) {
+	if (!cursor) {
+		return '';
+	}
+	const { micros, id } = decodeCursor(cursor);
+	params.push(micros, id);
+	const time = `'epoch'::timestamptz + $${
+		params.length - 1
+	}::bigint * interval '1 microsecond'`;
+	return `AND (${columns}) < (${time}, $${params.length}::bigint)`;
+}
+
+export function encodeCursor({ micros, id }) {
+	return Buffer.from(JSON.stringify([micros, id])).toString('base64url');
+}
+
+// Throws on anything that isn't a cursor produced by encodeCursor
+export function decodeCursor(cursor) {
+	let value;
+	try {
+		value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+	} catch {
+		value = null;
+	}
+
+	const [micros, id] = Array.isArray(value) ? value : [];
+	if (!/^-?\d+$/.test(micros) || !/^\d+$/.test(id)) {
+		throw new Error('Invalid cursor');
+	}
+	return { micros, id };
+}
+
+// Fetches one row past the page to know whether there is a next one
+function toPage(rows, limit) {
+	const hasMore = rows.length > limit;
+	const items = rows.slice(0, limit);
+	const last = items.at(-1);
+
+	return {
+		items: items.map(({ cursor_micros, ...item }) => item),
+		next_cursor:
+			hasMore && last
+				? encodeCursor({ micros: last.cursor_micros, id: String(last.id) })
+				: null,
+	};
+}
+
+/**
+ * Messages exchanged between `userId` and `otherUserId`, newest first.
+ * Pass the previous page's `next_cursor` as `cursor` for older messages.
+ */
+export async function messageThread(
+	userId,
+	otherUserId,
+	{ limit = 50, cursor = null } = {},
+	client = dbClient
+) {
+	const params = [userId, otherUserId, limit + 1];
+	const result = await client.query(
+		`
+		SELECT
+			id, sender_id, receiver_id, job_id, project_id, content, sent_at,
+			${cursorMicros('sent_at')}
+		FROM messages
+		WHERE LEAST(sender_id, receiver_id) = LEAST($1::int, $2::int)
+			AND GREATEST(sender_id, receiver_id) = GREATEST($1::int, $2::int)
+			${keysetCondition('sent_at, id', cursor, params)}
+		ORDER BY sent_at DESC, id DESC
+		LIMIT $3
+	`,
+		params
+	);
+	return toPage(result.rows, limit);
+}
+
+/**
+ * A user's notifications, newest first; `unreadOnly` narrows it to the
+ * unread ones. Paged the same way as messageThread.
+ */
+export async function notificationFeed(
+	userId,
+	{ limit = 50, cursor = null, unreadOnly = false } = {},
+	client = dbClient
+) {
+	const params = [userId, limit + 1];
+	const result = await client.query(
+		`
+		SELECT id, type, content, payload, is_read, created_at, ${cursorMicros(
+			'created_at'
+		)}
+		FROM notifications
+		WHERE user_id = $1
+			${unreadOnly ? 'AND is_read = false' : ''}
+			${keysetCondition('created_at, id', cursor, params)}
+		ORDER BY created_at DESC, id DESC
+		LIMIT $2
+	`,
+		params
+	);
+	return toPage(result.rows, limit);
+}
+
+/**
+ * Mark a user's notifications as read in one statement: the given `ids`,
+ * everything created at or before `before`, or, with neither, all of them.
+ * Only unread rows are touched. Resolves with the number of rows updated.
+ */
+export async function markNotificationsRead(
+	userId,
+	{ ids = null, before = null } = {},
+	client = dbClient
+) {
+	const result = await client.query(
+		`
+		UPDATE notifications
+		SET is_read = true
+		WHERE user_id = $1
+			AND is_read = false
+			AND ($2::bigint[] IS NULL OR id = ANY($2::bigint[]))
+			AND ($3::timestamptz IS NULL OR created_at <= $3)
+	`,
+		[userId, ids, before]
+	);
+	return result.rowCount;
+}
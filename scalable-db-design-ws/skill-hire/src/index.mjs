@@ -1,39 +1,63 @@
-import {
-	seedUsersWithProfiles,
-	seedSkills,
-	verifySeeding,
-} from './seeds/users.mjs';
-import { seedJobsAndRelatedData, verifyJobSeeding } from './seeds/jobs.mjs';
-import {
-	seedMessages,
-	seedNotifications,
-	seedReviews,
-	verifyMessageSeeding,
-	verifyNotificationSeeding,
-	verifyReviewSeeding,
-} from './seeds/messages.mjs';
-
-(async function main() {
-	// Seed skills
-	await seedSkills();
-
-	// Seed users
-	await seedUsersWithProfiles(250);
-	await verifySeeding();
-
-	// Seed jobs
-	await seedJobsAndRelatedData(100);
-	await verifyJobSeeding();
-
-	// Seed Messages
-	await seedMessages();
-	await verifyMessageSeeding();
-
-	// Seed Notifications
-	await seedNotifications();
-	await verifyNotificationSeeding();
-
-	// Seed Reviews
-	await seedReviews();
-	await verifyReviewSeeding();
-})();
+#!/usr/bin/env node
+import { dbClient } from './db.mjs';
+import { runBenchmark } from './commands/benchmark.mjs';
+import { runMigrate } from './commands/migrate.mjs';
+import { runPartitions } from './commands/partitions.mjs';
+import { runRefresh } from './commands/refresh.mjs';
+import { runReset } from './commands/reset.mjs';
+import { runSeed } from './commands/seed.mjs';
+import { runServe } from './commands/serve.mjs';
+import { runVerify } from './commands/verify.mjs';
+
+const USAGE = `Usage: skill-hire <command> [options]
+
+Commands:
+  benchmark   Time the documented access patterns and report which indexes they use
+  migrate     Apply, inspect or revert the SQL migrations in queries/
+  partitions  Create, list or prune the monthly message and notification partitions
+  refresh     Refresh the top_freelancers materialized view, once or on an interval
+  reset       Truncate every table, optionally re-seeding in the same run
+  seed        Seed the database with fake SkillHire data
+  serve       Serve the documented access patterns as a JSON API
+  verify      Check the seeded data against the schema's invariants
+
+Run "skill-hire <command> --help" for command options.
+
+Connects to DATABASE_URL. Set it to pglite:memory, or pglite:<dir> to keep
+the data between runs, for an embedded PGlite database with no server.`;
+
+const COMMANDS = {
+	benchmark: runBenchmark,
+	migrate: runMigrate,
+	partitions: runPartitions,
+	refresh: runRefresh,
+	reset: runReset,
+	seed: runSeed,
+	serve: runServe,
+	verify: runVerify,
+};
+
+async function main(argv) {
+	const [commandName, ...args] = argv;
+	const command = COMMANDS[commandName];
+
+	if (!command) {
+		console.log(USAGE);
+		if (commandName && commandName !== '--help' && commandName !== '-h') {
+			console.error(`\n❌ Unknown command: ${commandName}`);
+			process.exitCode = 1;
+		}
+		return;
+	}
+
+	await command(args);
+}
+
+try {
+	await main(process.argv.slice(2));
+} catch (error) {
+	console.error(`❌ ${error.message}`);
+	process.exitCode = 1;
+} finally {
+	await dbClient.end();
+}
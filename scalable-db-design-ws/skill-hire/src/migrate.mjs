@@ -0,0 +1,264 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { dbClient, withTransaction } from './db.mjs';
+
+// Numbered SQL files: `<version>-<name>.sql` applies a migration and the
+// optional `<version>-<name>.down.sql` next to it reverts it
+export const MIGRATIONS_DIR = fileURLToPath(
+	new URL('../queries/', import.meta.url)
+);
+
+const MIGRATION_FILE = /^(\d+)-(.+?)(\.down)?\.sql$/;
+
+function checksum(sql) {
+	return createHash('sha256').update(sql).digest('hex');
+}
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+	const migrations = new Map();
+
+	for (const file of await readdir(dir)) {
+		const match = MIGRATION_FILE.exec(file);
+		if (!match) continue;
+
+		const [, versionText, name, down] = match;
+		const version = Number(versionText);
+		const migration = migrations.get(version) ?? { version, name };
+		if (migration.name !== name) {
+			throw new Error(
+				`Migration ${version} has mismatched files: "${migration.name}" and "${name}"`
+			);
+		}
+
+		const sql = await readFile(path.join(dir, file), 'utf8');
+		if (down) {
+			migration.downFile = file;
+			migration.downSql = sql;
+		} else {
+			if (migration.file) {
+				throw new Error(`Duplicate migration version ${version}: ${file}`);
+			}
+			migration.file = file;
+			migration.sql = sql;
+			migration.checksum = checksum(sql);
+		}
+		migrations.set(version, migration);
+	}
+
+	for (const migration of migrations.values()) {
+		if (!migration.file) {
+			throw new Error(
+				`Down file ${migration.downFile} has no matching up migration`
+			);
+		}
+	}
+
+	return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client = dbClient) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS schema_migrations (
+			version INT PRIMARY KEY,
+			name TEXT NOT NULL,
+			checksum TEXT NOT NULL,
+			applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+async function loadApplied(client = dbClient) {
+	await ensureMigrationsTable(client);
+	const result = await client.query(
+		'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+	);
+	return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Every known migration with its state: 'applied', 'pending', 'modified'
+ * (applied, but the file changed since) or 'missing' (applied, but the file
+ * is gone).
+ */
+export async function migrationStatus() {
+	const migrations = await loadMigrations();
+	const applied = await loadApplied();
+
+	const status = migrations.map((migration) => {
+		const row = applied.get(migration.version);
+		let state = 'pending';
+		if (row) {
+			state = row.checksum === migration.checksum ? 'applied' : 'modified';
+		}
+		return {
+			version: migration.version,
+			name: migration.name,
+			state,
+			applied_at: row?.applied_at ?? null,
+			reversible: Boolean(migration.downSql),
+		};
+	});
+
+	for (const row of applied.values()) {
+		if (!migrations.some((migration) => migration.version === row.version)) {
+			status.push({
+				version: row.version,
+				name: row.name,
+				state: 'missing',
+				applied_at: row.applied_at,
+				reversible: false,
+			});
+		}
+	}
+
+	return status.sort((a, b) => a.version - b.version);
+}
+
+function assertUnmodified(status) {
+	const drifted = status.filter(
+		(migration) =>
+			migration.state === 'modified' || migration.state === 'missing'
+	);
+	if (drifted.length > 0) {
+		throw new Error(
+			'Applied migrations no longer match their files: ' +
+				drifted
+					.map(
+						(migration) =>
+							`${migration.version}-${migration.name} (${migration.state})`
+					)
+					.join(', ') +
+				'. Add a new migration instead of editing an applied one.'
+		);
+	}
+}
+
+// SQLSTATEs for CREATE of a type, table, function... that already exists
+const ALREADY_EXISTS = ['42710', '42P07', '42723'];
+
+// Apply every pending migration in version order, each in its own
+// transaction together with its schema_migrations row
+export async function migrateUp() {
+	const migrations = await loadMigrations();
+	const status = await migrationStatus();
+	assertUnmodified(status);
+
+	const pending = migrations.filter((migration) =>
+		status.some(
+			(entry) =>
+				entry.version === migration.version && entry.state === 'pending'
+		)
+	);
+
+	if (pending.length === 0) {
+		console.log('✅ Database is up to date');
+		return [];
+	}
+
+	for (const migration of pending) {
+		console.log(`⬆️  Applying ${migration.file}...`);
+		await withTransaction(async (client) => {
+			await client.query(migration.sql);
+			await client.query(
+				'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+				[migration.version, migration.name, migration.checksum]
+			);
+		}).catch((error) => {
+			if (ALREADY_EXISTS.includes(error.code)) {
+				error.message += `. If ${migration.file} was already run by hand, record it with "migrate baseline --through <version>" first`;
+			}
+			throw error;
+		});
+	}
+
+	console.log(`✅ Applied ${pending.length} migration(s)`);
+	return pending;
+}
+
+/**
+ * Record every pending migration up to and including version `through` as
+ * applied, with its current checksum, without running it. For databases
+ * where those files were already applied by hand (e.g. with psql), so that
+ * "up" starts after them instead of failing on objects that already exist.
+ */
+export async function migrateBaseline(through) {
+	const migrations = await loadMigrations();
+	if (!migrations.some((migration) => migration.version === through)) {
+		throw new Error(`No migration with version ${through}`);
+	}
+	const status = await migrationStatus();
+	assertUnmodified(status);
+
+	const pending = migrations.filter(
+		(migration) =>
+			migration.version <= through &&
+			status.some(
+				(entry) =>
+					entry.version === migration.version && entry.state === 'pending'
+			)
+	);
+
+	if (pending.length === 0) {
+		console.log(`✅ Migrations up to ${through} are already recorded`);
+		return [];
+	}
+
+	await withTransaction(async (client) => {
+		for (const migration of pending) {
+			console.log(`📌 Recording ${migration.file} without running it`);
+			await client.query(
+				'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+				[migration.version, migration.name, migration.checksum]
+			);
+		}
+	});
+
+	console.log(`✅ Baselined ${pending.length} migration(s)`);
+	return pending;
+}
+
+// Revert the last `steps` applied migrations, newest first
+export async function migrateDown(steps = 1) {
+	const migrations = await loadMigrations();
+	const status = await migrationStatus();
+	assertUnmodified(status);
+
+	const toRevert = status
+		.filter((migration) => migration.state === 'applied')
+		.reverse()
+		.slice(0, steps)
+		.map((entry) =>
+			migrations.find((migration) => migration.version === entry.version)
+		);
+
+	if (toRevert.length === 0) {
+		console.log('✅ Nothing to revert');
+		return [];
+	}
+
+	const irreversible = toRevert.filter((migration) => !migration.downSql);
+	if (irreversible.length > 0) {
+		throw new Error(
+			`No down file for: ${irreversible
+				.map((migration) => migration.file)
+				.join(', ')}`
+		);
+	}
+
+	for (const migration of toRevert) {
+		console.log(
+			`⬇️  Reverting ${migration.file} with ${migration.downFile}...`
+		);
+		await withTransaction(async (client) => {
+			await client.query(migration.downSql);
+			await client.query('DELETE FROM schema_migrations WHERE version = $1', [
+				migration.version,
+			]);
+		});
+	}
+
+	console.log(`✅ Reverted ${toRevert.length} migration(s)`);
+	return toRevert;
+}
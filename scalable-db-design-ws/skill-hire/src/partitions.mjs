@@ -0,0 +1,188 @@
+// Monthly range partitions for the time-series tables. 1-initialization.sql
+// only creates 2025_01 to 2025_03; everything else is created on demand.
+// All functions take a client so they can run inside the caller's
+// transaction (creating a partition locks the parent table until commit).
+
+// Partitioned table -> its partition key
+export const PARTITIONED_TABLES = {
+	messages: 'sent_at',
+	notifications: 'created_at',
+};
+
+function assertPartitioned(table) {
+	if (!PARTITIONED_TABLES[table]) {
+		throw new Error(
+			`${table} is not a partitioned table. Expected one of: ${Object.keys(
+				PARTITIONED_TABLES
+			).join(', ')}`
+		);
+	}
+}
+
+function startOfMonth(date) {
+	return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+export function addMonths(date, months) {
+	return new Date(
+		Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)
+	);
+}
+
+// Partitions are UTC months. A plain date bound would be read in the
+// session time zone, so bounds spell out the offset; dbClient also pins
+// every session to UTC (see db.mjs), which lines up the initial partitions
+// that 1-initialization.sql creates with plain dates.
+function formatBound(month) {
+	return `${month.toISOString().slice(0, 10)} 00:00:00+00`;
+}
+
+function partitionName(table, month) {
+	const [year, monthNumber] = month.toISOString().slice(0, 7).split('-');
+	return `${table}_partitioned_${year}_${monthNumber}`;
+}
+
+function defaultPartitionName(table) {
+	return `${table}_partitioned_default`;
+}
+
+// First day of every month touched by [start, end]
+export function monthsBetween(start, end) {
+	const months = [];
+	for (
+		let month = startOfMonth(start);
+		month <= end;
+		month = addMonths(month, 1)
+	) {
+		months.push(month);
+	}
+	return months;
+}
+
+const RANGE_BOUND = /FOR VALUES FROM \('([^']+)'\) TO \('([^']+)'\)/;
+
+/**
+ * Partitions of `table` with their bounds, oldest first. The DEFAULT
+ * partition, if any, comes last with `isDefault: true` and null bounds.
+ */
+export async function listPartitions(client, table) {
+	assertPartitioned(table);
+	const result = await client.query(
+		`
+		SELECT c.relname AS name, pg_get_expr(c.relpartbound, c.oid) AS bound
+		FROM pg_inherits i
+		JOIN pg_class c ON c.oid = i.inhrelid
+		WHERE i.inhparent = $1::regclass
+	`,
+		[table]
+	);
+
+	const partitions = result.rows.map((row) => {
+		const range = RANGE_BOUND.exec(row.bound);
+		return {
+			name: row.name,
+			isDefault: row.bound === 'DEFAULT',
+			from: range ? new Date(range[1]) : null,
+			to: range ? new Date(range[2]) : null,
+		};
+	});
+
+	return partitions.sort(
+		(a, b) => (a.from?.getTime() ?? Infinity) - (b.from?.getTime() ?? Infinity)
+	);
+}
+
+// Catches rows outside every monthly partition instead of failing the insert
+export async function ensureDefaultPartition(client, table) {
+	assertPartitioned(table);
+	await client.query(
+		`CREATE TABLE IF NOT EXISTS ${defaultPartitionName(
+			table
+		)} PARTITION OF ${table} DEFAULT`
+	);
+}
+
+// A new partition's range may not overlap rows already sitting in the
+// DEFAULT partition, so those rows are moved out first and re-inserted
+// through the parent once the partition exists
+async function createMonthlyPartition(client, table, month) {
+	const column = PARTITIONED_TABLES[table];
+	const name = partitionName(table, month);
+	const from = formatBound(month);
+	const to = formatBound(addMonths(month, 1));
+
+	await client.query(`CREATE TEMP TABLE ${name}_pending (LIKE ${table})`);
+	const moved = await client.query(
+		`
+		WITH moved AS (
+			DELETE FROM ${defaultPartitionName(table)}
+			WHERE ${column} >= $1 AND ${column} < $2
+			RETURNING *
+		)
+		INSERT INTO ${name}_pending SELECT * FROM moved
+	`,
+		[month, addMonths(month, 1)]
+	);
+
+	await client.query(
+		`CREATE TABLE ${name} PARTITION OF ${table} FOR VALUES FROM ('${from}') TO ('${to}')`
+	);
+
+	await client.query(`INSERT INTO ${table} SELECT * FROM ${name}_pending`);
+	await client.query(`DROP TABLE ${name}_pending`);
+
+	console.log(
+		`🗂️  Created ${name}` +
+			(moved.rowCount > 0
+				? ` (moved ${moved.rowCount} rows out of the default partition)`
+				: '')
+	);
+	return name;
+}
+
+/**
+ * Create the DEFAULT partition and a partition for every month between
+ * `start` and `end` that isn't covered yet. Returns the names created.
+ */
+export async function ensureMonthlyPartitions(client, table, start, end) {
+	await ensureDefaultPartition(client, table);
+
+	const ranges = (await listPartitions(client, table)).filter(
+		(partition) => !partition.isDefault
+	);
+
+	const created = [];
+	for (const month of monthsBetween(start, end)) {
+		const covered = ranges.some(
+			(partition) =>
+				partition.from <= month && partition.to >= addMonths(month, 1)
+		);
+		if (!covered) {
+			created.push(await createMonthlyPartition(client, table, month));
+		}
+	}
+	return created;
+}
+
+/**
+ * Detach every monthly partition of `table` that ends on or before `before`,
+ * and drop it as well when `drop` is set. Detached tables keep their rows,
+ * so they can be archived or re-attached later. Returns the affected names.
+ */
+export async function prunePartitions(client, table, { before, drop = false }) {
+	const partitions = await listPartitions(client, table);
+	const expired = partitions.filter(
+		(partition) => !partition.isDefault && partition.to <= before
+	);
+
+	for (const partition of expired) {
+		await client.query(
+			`ALTER TABLE ${table} DETACH PARTITION ${partition.name}`
+		);
+		if (drop) {
+			await client.query(`DROP TABLE ${partition.name}`);
+		}
+		console.log(`${drop ? '🗑️  Dropped' : '📦 Detached'} ${partition.name}`);
+	}
+	return expired.map((partition) => partition.name);
+}
@@ -0,0 +1,50 @@
+import { withTransaction } from './db.mjs';
+
+// Every table created by the migrations except schema_migrations itself.
+// They go into a single TRUNCATE, so the order here doesn't matter for the
+// foreign keys; CASCADE also covers anything added that references them.
+export const SKILL_HIRE_TABLES = [
+	'users',
+	'freelancer_profiles',
+	'client_profiles',
+	'categories',
+	'skills',
+	'freelancer_skills',
+	'jobs',
+	'job_skills',
+	'applications',
+	'projects',
+	'milestones',
+	'messages',
+	'notifications',
+	'reviews',
+	'materialized_view_refreshes',
+];
+
+// Truncates the tables the applied migrations have created, so a database
+// that isn't fully migrated can be reset too
+export async function truncateAll() {
+	console.log('🧹 Truncating SkillHire tables...');
+	const tables = await withTransaction(async (client) => {
+		const result = await client.query(
+			`
+			SELECT name
+			FROM unnest($1::text[]) AS name
+			WHERE to_regclass(name) IS NOT NULL
+		`,
+			[SKILL_HIRE_TABLES]
+		);
+		const existing = result.rows.map((row) => row.name);
+		if (existing.length > 0) {
+			await client.query(
+				`TRUNCATE ${existing.join(', ')} RESTART IDENTITY CASCADE`
+			);
+		}
+		return existing;
+	});
+	const missing = SKILL_HIRE_TABLES.length - tables.length;
+	console.log(
+		`✅ Truncated ${tables.length} tables` +
+			(missing > 0 ? ` (${missing} not created yet, skipped)` : '')
+	);
+}
@@ -0,0 +1,133 @@
+import { dbClient } from './db.mjs';
+
+const SEARCH_CONFIG = 'english';
+// Titles are short enough to highlight in full; descriptions get fragments
+const TITLE_HEADLINE = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const SNIPPET_HEADLINE =
+	'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Words, "quoted phrases" and prefix* terms
+const SEARCH_TOKEN = /"([^"]*)"|(\S+)/g;
+
+/**
+ * Split a search box string into terms that all have to match:
+ *
+ *   react "mobile app" deve*
+ *   -> [{ type: 'word', text: 'react' },
+ *       { type: 'phrase', text: 'mobile app' },
+ *       { type: 'prefix', text: 'deve' }]
+ *
+ * Prefix terms keep letters and digits only, since they are fed to
+ * to_tsquery, which would otherwise read them as tsquery syntax.
+ */
+export function parseSearchQuery(text) {
+	const terms = [];
+	for (const [, phrase, word] of text.matchAll(SEARCH_TOKEN)) {
+		if (phrase !== undefined) {
+			if (phrase.trim()) {
+				terms.push({ type: 'phrase', text: phrase.trim() });
+			}
+		} else if (word.endsWith('*')) {
+			const prefix = word.replace(/[^\p{L}\p{N}]/gu, '');
+			if (prefix) {
+				terms.push({ type: 'prefix', text: prefix });
+			}
+		} else {
+			terms.push({ type: 'word', text: word });
+		}
+	}
+	return terms;
+}
+
+// One tsquery per term, ANDed together; every value is a bind parameter
+function buildTsQuery(terms, params) {
+	return terms
+		.map((term) => {
+			if (term.type === 'prefix') {
+				params.push(`${term.text}:*`);
+				return `to_tsquery('${SEARCH_CONFIG}', $${params.length})`;
+			}
+			params.push(term.text);
+			const parser =
+				term.type === 'phrase' ? 'phraseto_tsquery' : 'plainto_tsquery';
+			return `${parser}('${SEARCH_CONFIG}', $${params.length})`;
+		})
+		.join(' && ');
+}
+
+/**
+ * Search open jobs. With a query, matches use the jobs.search_vector GIN
+ * index, are ordered by ts_rank and come with highlighted `title_highlight`
+ * and `snippet` fields (<mark>...</mark> around matches, the rest is raw
+ * text, so escape it before rendering as HTML). Without a query, newest jobs
+ * come first and rank and highlights are null.
+ */
+export async function searchJobs(
+	{
+		query = null,
+		categoryId = null,
+		skillId = null,
+		minBudget = null,
+		maxBudget = null,
+		limit = 50,
+		offset = 0,
+	} = {},
+	client = dbClient
+) {
+	const params = [categoryId, minBudget, maxBudget, skillId, limit, offset];
+	const terms = query ? parseSearchQuery(query) : [];
+	const tsQuery =
+		terms.length > 0 ? buildTsQuery(terms, params) : 'NULL::tsquery';
+
+	// Highlights are built only for the page being returned; ts_headline
+	// re-parses the whole document, which is the expensive part of a search
+	const result = await client.query(
+		`
+		WITH q AS (SELECT ${tsQuery} AS query),
+		matches AS (
+			SELECT j.id, ts_rank(j.search_vector, q.query) AS rank
+			FROM jobs j
+			CROSS JOIN q
+			WHERE j.status = 'open'
+				AND (q.query IS NULL OR j.search_vector @@ q.query)
+				AND ($1::int IS NULL OR j.category_id = $1)
+				AND ($2::numeric IS NULL OR j.budget_amount >= $2)
+				AND ($3::numeric IS NULL OR j.budget_amount <= $3)
+				AND ($4::int IS NULL OR EXISTS (
+					SELECT 1 FROM job_skills js
+					WHERE js.job_id = j.id AND js.skill_id = $4
+				))
+			ORDER BY rank DESC NULLS LAST, j.created_at DESC, j.id DESC
+			LIMIT $5 OFFSET $6
+		)
+		SELECT
+			j.id,
+			j.title,
+			j.description,
+			j.budget_type,
+			j.budget_amount,
+			j.deadline,
+			j.status,
+			c.name AS category_name,
+			COALESCE(
+				(
+					SELECT json_agg(s.name ORDER BY s.name)
+					FROM job_skills js
+					JOIN skills s ON js.skill_id = s.id
+					WHERE js.job_id = j.id
+				),
+				'[]'
+			) AS required_skills,
+			m.rank,
+			ts_headline('${SEARCH_CONFIG}', j.title, q.query, '${TITLE_HEADLINE}') AS title_highlight,
+			ts_headline('${SEARCH_CONFIG}', coalesce(j.description, ''), q.query, '${SNIPPET_HEADLINE}') AS snippet
+		FROM matches m
+		JOIN jobs j ON j.id = m.id
+		CROSS JOIN q
+		LEFT JOIN categories c ON j.category_id = c.id
+		ORDER BY m.rank DESC NULLS LAST, j.created_at DESC, j.id DESC
+	`,
+		params
+	);
+	return result.rows;
+}
@@ -0,0 +1,134 @@
+import { faker } from '@faker-js/faker';
+import { randomDateBetween, safeArrayElement } from './random.mjs';
+
+// How seeded rows are spread out. `popularity` decides how rows pick what
+// they point at: 'uniform' gives every client, skill or user the same odds,
+// 'zipf' makes the k-th most popular one 1/k^exponent as likely as the
+// first, so a few clients post most jobs and a few skills show up everywhere.
+// `timeOfDay` bunches timestamps into working hours on weekdays.
+export const DISTRIBUTION_PROFILES = {
+	uniform: { popularity: 'uniform', timeOfDay: false },
+	zipf: { popularity: 'zipf', exponent: 1, timeOfDay: false },
+	realistic: { popularity: 'zipf', exponent: 1, timeOfDay: true },
+};
+
+export const DISTRIBUTION_NAMES = Object.keys(DISTRIBUTION_PROFILES);
+export const DEFAULT_DISTRIBUTION = 'realistic';
+
+// Relative activity per UTC hour: quiet overnight, peaking mid-morning and
+// mid-afternoon. Weekends get WEEKEND_ACTIVITY of a weekday's volume.
+const HOURLY_ACTIVITY = [
+	1, 1, 1, 1, 1, 2, 3, 5, 8, 10, 10, 9, 7, 8, 10, 10, 9, 7, 5, 4, 3, 2, 2, 1,
+];
+const PEAK_ACTIVITY = Math.max(...HOURLY_ACTIVITY);
+const WEEKEND_ACTIVITY = 0.4;
+
+// Rejection sampling gives up after this many draws and keeps the last one,
+// so a window that falls entirely in quiet hours still terminates
+const MAX_TIMESTAMP_DRAWS = 20;
+
+// Each item's share of the picks under a skewed profile: its popularity
+// from a rank shuffled once, so the hot items aren't simply the lowest ids,
+// times `weight(item)` if given
+function popularityWeights(items, distribution, weight) {
+	const ranks = faker.helpers.shuffle(items.map((_, index) => index));
+	return items.map(
+		(item, index) =>
+			(1 / (ranks[index] + 1) ** distribution.exponent) *
+			(weight ? weight(item) : 1)
+	);
+}
+
+/**
+ * Returns a function that picks one of `items` per call (null when there are
+ * none). Under a skewed profile each item's popularity rank is shuffled once,
+ * so the hot items aren't simply the lowest ids, and `weight(item)` scales
+ * its odds further (e.g. to favour active projects).
+ */
+export function createPicker(items, distribution, { weight } = {}) {
+	if (distribution.popularity === 'uniform' || items.length < 2) {
+		return () => safeArrayElement(items);
+	}
+
+	const shares = popularityWeights(items, distribution, weight);
+	const cumulative = new Float64Array(items.length);
+	let total = 0;
+	for (const [index, share] of shares.entries()) {
+		total += share;
+		cumulative[index] = total;
+	}
+
+	return () => {
+		const target = faker.number.float({ min: 0, max: total });
+		// First item whose cumulative weight reaches the target
+		let low = 0;
+		let high = items.length - 1;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (cumulative[middle] < target) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+		return items[low];
+	};
+}
+
+/**
+ * `count` different items (all of them when there are fewer), drawn without
+ * replacement with the odds createPicker would give them: always exactly
+ * `count`, however skewed the profile.
+ */
+export function sampleDistinct(items, count, distribution, { weight } = {}) {
+	if (count >= items.length) {
+		return [...items];
+	}
+	if (distribution.popularity === 'uniform') {
+		return faker.helpers.arrayElements(items, count);
+	}
+
+	// Efraimidis-Spirakis: the items with the largest u^(1/weight) for a
+	// uniform u, kept as log(u) / weight so tiny weights don't underflow
+	const keys = popularityWeights(items, distribution, weight).map(
+		(share, index) => ({
+			index,
+			key: Math.log(faker.number.float({ min: 0, max: 1 })) / share,
+		})
+	);
+	keys.sort((a, b) => b.key - a.key);
+	return keys.slice(0, count).map(({ index }) => items[index]);
+}
+
+// Up to `count` different items from `pick`. Repeats are dropped rather than
+// redrawn forever, so a heavily skewed picker can return fewer.
+export function pickDistinct(pick, count) {
+	const picked = new Set();
+	for (let draw = 0; draw < count * 4 && picked.size < count; draw++) {
+		const item = pick();
+		if (item !== null) picked.add(item);
+	}
+	return [...picked];
+}
+
+function activityAt(date) {
+	const day = date.getUTCDay();
+	const weekend = day === 0 || day === 6 ? WEEKEND_ACTIVITY : 1;
+	return (HOURLY_ACTIVITY[date.getUTCHours()] * weekend) / PEAK_ACTIVITY;
+}
+
+// A timestamp between `start` and `end`, following the profile's time-of-day
+// curve when it has one
+export function randomTimestamp(start, end, distribution) {
+	let date = randomDateBetween(start, end);
+	if (!distribution.timeOfDay) {
+		return date;
+	}
+	for (let draw = 1; draw < MAX_TIMESTAMP_DRAWS; draw++) {
+		if (faker.number.float({ min: 0, max: 1 }) < activityAt(date)) {
+			break;
+		}
+		date = randomDateBetween(start, end);
+	}
+	return date;
+}
@@ -1,14 +1,32 @@
 import { faker } from '@faker-js/faker';
-import { dbClient } from '../db.mjs';
+import { dbClient, withTransaction } from '../db.mjs';
+import { addMonths } from '../partitions.mjs';
+import { insertBatched } from '../utils/insert.mjs';
+import {
+	createPicker,
+	DEFAULT_DISTRIBUTION,
+	DISTRIBUTION_PROFILES,
+	pickDistinct,
+	randomTimestamp,
+} from './distributions.mjs';
+import { DEFAULT_END_DATE, DEFAULT_START_DATE } from './messages.mjs';
+import { LEAD_IN_MONTHS, randomDateInFuture } from './random.mjs';
 
 const BUDGET_TYPES = ['fixed', 'hourly'];
-const JOB_STATUSES = ['open', 'in_progress', 'completed', 'closed'];
-const APPLICATION_STATUSES = ['pending', 'accepted', 'rejected'];
-const PROJECT_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
-const MILESTONE_STATUSES = ['pending', 'completed', 'paid'];
 
-const START_DATE = new Date('2024-11-01T00:00:00Z');
-const END_DATE = new Date('2025-03-31T23:59:59Z');
+// Everything generated for a job follows from how far it got:
+//   open         pending applications (maybe none yet), nobody hired
+//   in_progress  one accepted application, the others rejected, and an
+//                in_progress project with its first milestones done
+//   completed    the same, with the project completed and every milestone
+//                completed or paid
+//   closed       every application rejected, nobody hired
+const JOB_STATUSES = [
+	{ value: 'open', weight: 40 },
+	{ value: 'in_progress', weight: 25 },
+	{ value: 'completed', weight: 25 },
+	{ value: 'closed', weight: 10 },
+];
 
 // Job categories and their typical skills
 const JOB_CATEGORIES = [
@@ -73,515 +91,470 @@ const JOB_TITLES = [
 	'Microservices Developer for Banking System',
 ];
 
-function randomDateBetween(start, end) {
-	return new Date(
-		start.getTime() + Math.random() * (end.getTime() - start.getTime())
-	);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateString(date) {
+	return date.toISOString().split('T')[0];
 }
 
-function randomDateInFuture(fromDate, daysRange = 30) {
-	const futureDate = new Date(fromDate);
-	futureDate.setDate(futureDate.getDate() + Math.random() * daysRange);
-	return futureDate;
+function addDays(date, days) {
+	return new Date(date.getTime() + days * DAY_MS);
 }
 
-// Safe array element selection with fallback
-function safeArrayElement(array, fallback = null) {
-	if (!array || array.length === 0) {
-		return fallback;
+// Split `totalAmount` into `count` milestones that add up to it exactly
+// (the last one takes the rounding remainder), due at even intervals up to
+// the project's end date. Milestones are finished in order: a completed
+// project's are all completed or paid, an active one's are paid, then
+// completed, then pending.
+function generateMilestones(projectIndex, project, { startDate, endDate }) {
+	const count = faker.helpers.rangeToNumber({ min: 2, max: 5 });
+	const totalCents = Math.round(project.total_amount * 100);
+	const baseCents = Math.floor(totalCents / count);
+
+	const doneCount =
+		project.status === 'completed'
+			? count
+			: faker.number.int({ min: 0, max: count - 1 });
+	const paidCount = faker.number.int({
+		min: project.status === 'completed' ? 1 : 0,
+		max: doneCount,
+	});
+
+	const span = endDate.getTime() - startDate.getTime();
+	const milestones = [];
+	for (let k = 0; k < count; k++) {
+		const dueDate = new Date(startDate.getTime() + ((k + 1) * span) / count);
+		const cents =
+			k === count - 1 ? totalCents - baseCents * (count - 1) : baseCents;
+		const status =
+			k < paidCount ? 'paid' : k < doneCount ? 'completed' : 'pending';
+
+		milestones.push({
+			project_index: projectIndex, // Resolved to project_id after project insertion
+			description: `Milestone ${k + 1}: ${faker.lorem.sentence()}`,
+			due_date: toDateString(dueDate),
+			amount: cents / 100,
+			status,
+			created_at: startDate.toISOString(),
+			updated_at: (status === 'pending' ? startDate : dueDate).toISOString(),
+		});
 	}
-	return faker.helpers.arrayElement(array);
+	return milestones;
 }
 
-export async function seedJobsAndRelatedData() {
+export async function seedJobsAndRelatedData(
+	count = 100,
+	{
+		batchSize,
+		// The seed window; projects have their own start and end dates below
+		startDate: windowStart = DEFAULT_START_DATE,
+		endDate: windowEnd = DEFAULT_END_DATE,
+		distribution = DISTRIBUTION_PROFILES[DEFAULT_DISTRIBUTION],
+	} = {}
+) {
+	const postedFrom = addMonths(windowStart, -LEAD_IN_MONTHS);
 	try {
 		console.log('🌱 Starting to seed jobs and related data...');
 
-		// Start transaction
-		await dbClient.query('BEGIN');
-
-		// 1. Get existing data from database
-		const clients = await dbClient.query(`
-			SELECT u.id, cp.company_name, cp.location 
-			FROM users u 
-			JOIN client_profiles cp ON u.id = cp.id 
-			WHERE u.user_type = 'client' AND u.account_status = 'active'
-		`);
-
-		const freelancers = await dbClient.query(`
-			SELECT u.id, fp.name, fp.hourly_rate, fp.skills
-			FROM users u 
-			JOIN freelancer_profiles fp ON u.id = fp.id 
-			WHERE u.user_type = 'freelancer' AND u.account_status = 'active'
-		`);
-
-		const skills = await dbClient.query('SELECT id, name FROM skills');
-		const categories = await dbClient.query('SELECT id, name FROM categories');
+		await withTransaction(async (client) => {
+			// 1. Get existing data from database
+			const clients = await client.query(`
+				SELECT u.id, cp.company_name, cp.location 
+				FROM users u 
+				JOIN client_profiles cp ON u.id = cp.id 
+				WHERE u.user_type = 'client' AND u.account_status = 'active'
+				ORDER BY u.id
+			`);
+
+			const freelancers = await client.query(`
+				SELECT u.id, fp.name, fp.hourly_rate, fp.skills
+				FROM users u 
+				JOIN freelancer_profiles fp ON u.id = fp.id 
+				WHERE u.user_type = 'freelancer' AND u.account_status = 'active'
+				ORDER BY u.id
+			`);
+
+			const skills = await client.query(
+				'SELECT id, name FROM skills ORDER BY id'
+			);
+			const categories = await client.query(
+				'SELECT id, name FROM categories ORDER BY id'
+			);
 
-		// Check if we have the required data
-		if (clients.rows.length === 0) {
-			console.log('❌ No active clients found. Please seed users first.');
-			await dbClient.query('ROLLBACK');
-			return;
-		}
+			// Check if we have the required data
+			if (clients.rows.length === 0) {
+				console.log('❌ No active clients found. Please seed users first.');
+				return;
+			}
 
-		if (freelancers.rows.length === 0) {
-			console.log('❌ No active freelancers found. Please seed users first.');
-			await dbClient.query('ROLLBACK');
-			return;
-		}
+			if (freelancers.rows.length === 0) {
+				console.log('❌ No active freelancers found. Please seed users first.');
+				return;
+			}
 
-		if (skills.rows.length === 0) {
-			console.log('❌ No skills found. Please seed skills first.');
-			await dbClient.query('ROLLBACK');
-			return;
-		}
+			if (skills.rows.length === 0) {
+				console.log('❌ No skills found. Please seed skills first.');
+				return;
+			}
 
-		console.log(
-			`Found ${clients.rows.length} clients, ${freelancers.rows.length} freelancers, and ${skills.rows.length} skills`
-		);
+			console.log(
+				`Found ${clients.rows.length} clients, ${freelancers.rows.length} freelancers, and ${skills.rows.length} skills`
+			);
 
-		// 2. Seed categories if not exists
-		if (categories.rows.length === 0) {
-			console.log(' Seeding categories...');
-			const categoryColumns = ['id', 'name', 'description'];
-			const categoryValues = [];
-			const categoryPlaceholders = [];
-
-			JOB_CATEGORIES.forEach((category, idx) => {
-				const baseIdx = idx * categoryColumns.length;
-				categoryPlaceholders.push(
-					`(${categoryColumns
-						.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-						.join(', ')})`
+			// 2. Seed categories if not exists
+			if (categories.rows.length === 0) {
+				console.log(' Seeding categories...');
+				const categoryColumns = ['id', 'name', 'description'];
+				await insertBatched(
+					client,
+					'categories',
+					categoryColumns,
+					JOB_CATEGORIES.map((category) => [
+						category.id,
+						category.name,
+						category.description,
+					]),
+					{ onConflict: 'ON CONFLICT (id) DO NOTHING' }
 				);
-				categoryValues.push(category.id, category.name, category.description);
-			});
-
-			const categoryQuery = `
-				INSERT INTO categories (${categoryColumns.join(', ')})
-				VALUES ${categoryPlaceholders.join(',\n')}
-				ON CONFLICT (id) DO NOTHING
-			`;
+				console.log(`✅ Seeded ${JOB_CATEGORIES.length} categories`);
 
-			await dbClient.query(categoryQuery, categoryValues);
-			console.log(`✅ Seeded ${JOB_CATEGORIES.length} categories`);
-
-			// Refresh categories after insertion
-			const newCategories = await dbClient.query(
-				'SELECT id, name FROM categories'
-			);
-			categories.rows = newCategories.rows;
-		}
-
-		// 3. Generate jobs
-		const jobs = [];
-		const jobSkills = [];
-		const applications = [];
-		const projects = [];
-		const milestones = [];
-
-		for (let i = 0; i < 100; i++) {
-			const client = safeArrayElement(clients.rows);
-			const category = safeArrayElement(categories.rows);
-
-			// Skip if we don't have required data
-			if (!client || !category) {
-				console.log('⚠️  Skipping job creation due to missing data');
-				continue;
+				// Refresh categories after insertion
+				const newCategories = await client.query(
+					'SELECT id, name FROM categories ORDER BY id'
+				);
+				categories.rows = newCategories.rows;
 			}
 
-			const budgetType = faker.helpers.arrayElement(BUDGET_TYPES);
-			const status = faker.helpers.arrayElement(JOB_STATUSES);
-			const createdAt = randomDateBetween(START_DATE, END_DATE);
-			const deadline = randomDateInFuture(createdAt, 60);
-			const updatedAt = randomDateBetween(createdAt, END_DATE);
-
-			// Generate budget amount based on type
-			const budgetAmount =
-				budgetType === 'fixed'
-					? faker.helpers.rangeToNumber({ min: 500, max: 50000 })
-					: faker.helpers.rangeToNumber({ min: 15, max: 200 });
-
-			const job = {
-				client_id: client.id,
-				title: faker.helpers.arrayElement(JOB_TITLES),
-				description: faker.lorem.paragraphs(2),
-				category_id: category.id,
-				budget_type: budgetType,
-				budget_amount: budgetAmount,
-				deadline: deadline.toISOString().split('T')[0],
-				status: status,
-				created_at: createdAt.toISOString(),
-				updated_at: updatedAt.toISOString(),
-				applications_count: 0, // Will be updated after applications
-				category_name: category.name,
-				job_index: i, // Add job index for tracking
-			};
-
-			jobs.push(job);
-
-			// Generate 10-50 applications per job
-			const numApplications = faker.helpers.rangeToNumber({ min: 10, max: 50 });
-			const jobApplications = [];
-
-			for (let j = 0; j < numApplications; j++) {
-				const freelancer = safeArrayElement(freelancers.rows);
-				if (!freelancer) continue;
-
-				const appliedAt = randomDateBetween(createdAt, updatedAt);
-				const proposedRate =
+			// 3. Generate jobs
+			const jobs = [];
+			const jobSkills = [];
+			const applications = [];
+			const projects = [];
+			const milestones = [];
+
+			// Under a skewed distribution a few clients post most of the jobs,
+			// and popular categories, skills and freelancers dominate the rest
+			const pickClient = createPicker(clients.rows, distribution);
+			const pickCategory = createPicker(categories.rows, distribution);
+			const pickSkill = createPicker(skills.rows, distribution);
+			const pickFreelancer = createPicker(freelancers.rows, distribution);
+
+			for (let i = 0; i < count; i++) {
+				const jobOwner = pickClient();
+				const category = pickCategory();
+
+				// Skip if we don't have required data
+				if (!jobOwner || !category) {
+					console.log('⚠️  Skipping job creation due to missing data');
+					continue;
+				}
+
+				const jobIndex = jobs.length;
+				const budgetType = faker.helpers.arrayElement(BUDGET_TYPES);
+				const status = faker.helpers.weightedArrayElement(JOB_STATUSES);
+				const hired = status === 'in_progress' || status === 'completed';
+				const createdAt = randomTimestamp(postedFrom, windowEnd, distribution);
+				const deadline = randomDateInFuture(createdAt, 60);
+
+				// Applications come in until the job is decided: someone is hired
+				// within two weeks, or the job is closed within a month. Open jobs
+				// are still taking them.
+				const decidedAt =
+					status === 'open'
+						? windowEnd
+						: randomDateInFuture(createdAt, hired ? 14 : 30);
+
+				// Generate budget amount based on type
+				const budgetAmount =
 					budgetType === 'fixed'
-						? faker.helpers.rangeToNumber({
-								min: budgetAmount * 0.8,
-								max: budgetAmount * 1.2,
-						  })
-						: faker.helpers.rangeToNumber({
-								min: Math.max(10, budgetAmount * 0.8),
-								max: budgetAmount * 1.5,
-						  });
-
-				const application = {
-					job_id: null, // Will be set after job insertion
-					freelancer_id: freelancer.id,
-					cover_letter: faker.lorem.paragraphs(1),
-					proposed_rate: proposedRate,
-					status: faker.helpers.arrayElement(APPLICATION_STATUSES),
-					applied_at: appliedAt.toISOString(),
+						? faker.helpers.rangeToNumber({ min: 500, max: 50000 })
+						: faker.helpers.rangeToNumber({ min: 15, max: 200 });
+
+				const job = {
+					client_id: jobOwner.id,
+					title: faker.helpers.arrayElement(JOB_TITLES),
+					description: faker.lorem.paragraphs(2),
+					category_id: category.id,
+					budget_type: budgetType,
+					budget_amount: budgetAmount,
+					deadline: toDateString(deadline),
+					status: status,
+					created_at: createdAt.toISOString(),
+					updated_at: createdAt.toISOString(), // Moved to the last change below
+					applications_count: 0, // Will be updated after applications
+					// category_name is copied from the category by a trigger
+					job_index: jobIndex, // Add job index for tracking
 				};
 
-				jobApplications.push(application);
-			}
+				jobs.push(job);
+
+				// Generate 10-50 applications per job, from different freelancers.
+				// Some open jobs haven't had any yet.
+				const numApplications =
+					status === 'open' && faker.datatype.boolean({ probability: 0.15 })
+						? 0
+						: faker.helpers.rangeToNumber({ min: 10, max: 50 });
+				const applicants = pickDistinct(pickFreelancer, numApplications);
+				const acceptedIndex = hired
+					? faker.number.int({ max: applicants.length - 1 })
+					: -1;
+				const jobApplications = [];
+
+				for (const [j, freelancer] of applicants.entries()) {
+					const appliedAt = randomTimestamp(createdAt, decidedAt, distribution);
+					const proposedRate =
+						budgetType === 'fixed'
+							? faker.helpers.rangeToNumber({
+									min: budgetAmount * 0.8,
+									max: budgetAmount * 1.2,
+							  })
+							: faker.helpers.rangeToNumber({
+									min: Math.max(10, budgetAmount * 0.8),
+									max: budgetAmount * 1.5,
+							  });
+
+					const application = {
+						job_index: jobIndex, // Resolved to job_id after job insertion
+						freelancer_id: freelancer.id,
+						cover_letter: faker.lorem.paragraphs(1),
+						proposed_rate: proposedRate,
+						status:
+							status === 'open'
+								? 'pending'
+								: j === acceptedIndex
+								? 'accepted'
+								: 'rejected',
+						applied_at: appliedAt.toISOString(),
+					};
 
-			applications.push(...jobApplications);
+					jobApplications.push(application);
+				}
 
-			// Generate job skills (2-6 skills per job)
-			const jobSkillCount = faker.helpers.rangeToNumber({ min: 2, max: 6 });
-			const selectedSkills = faker.helpers.arrayElements(
-				skills.rows,
-				Math.min(jobSkillCount, skills.rows.length)
-			);
+				applications.push(...jobApplications);
 
-			selectedSkills.forEach((skill) => {
-				jobSkills.push({
-					job_index: i, // Track which job this skill belongs to
-					skill_id: skill.id,
+				// Generate job skills (2-6 skills per job)
+				const jobSkillCount = faker.helpers.rangeToNumber({ min: 2, max: 6 });
+				const selectedSkills = pickDistinct(pickSkill, jobSkillCount);
+
+				selectedSkills.forEach((skill) => {
+					jobSkills.push({
+						job_index: jobIndex, // Track which job this skill belongs to
+						skill_id: skill.id,
+					});
 				});
-			});
-
-			// Create projects for some completed jobs
-			if (
-				status === 'completed' &&
-				faker.datatype.boolean({ probability: 0.3 }) &&
-				jobApplications.length > 0
-			) {
-				const acceptedApplication = safeArrayElement(jobApplications);
-				if (!acceptedApplication) continue;
-
-				const startDate = randomDateBetween(createdAt, deadline);
-				const endDate = randomDateInFuture(startDate, 30);
+
+				if (!hired) {
+					if (status === 'closed') {
+						job.updated_at = decidedAt.toISOString();
+					}
+					continue;
+				}
+
+				// The accepted freelancer starts on the day they're hired, at the
+				// rate they proposed
+				const acceptedApplication = jobApplications[acceptedIndex];
+				const startDate = decidedAt;
+				const endDate = addDays(
+					startDate,
+					faker.helpers.rangeToNumber({ min: 14, max: 90 })
+				);
 				const totalAmount =
 					budgetType === 'fixed'
-						? budgetAmount
-						: budgetAmount * faker.helpers.rangeToNumber({ min: 20, max: 100 });
+						? acceptedApplication.proposed_rate
+						: acceptedApplication.proposed_rate *
+						  faker.helpers.rangeToNumber({ min: 20, max: 100 });
 
 				const project = {
-					job_id: null, // Will be set after job insertion
+					job_index: jobIndex, // Resolved to job_id after job insertion
 					freelancer_id: acceptedApplication.freelancer_id,
-					status: 'completed',
-					start_date: startDate.toISOString().split('T')[0],
-					end_date: endDate.toISOString().split('T')[0],
+					status: status,
+					start_date: toDateString(startDate),
+					end_date: toDateString(endDate),
 					total_amount: totalAmount,
 					created_at: startDate.toISOString(),
 				};
 
 				projects.push(project);
+				milestones.push(
+					...generateMilestones(projects.length - 1, project, {
+						startDate,
+						endDate,
+					})
+				);
 
-				// Generate milestones for projects
-				const milestoneCount = faker.helpers.rangeToNumber({ min: 2, max: 5 });
-				const milestoneAmount = totalAmount / milestoneCount;
-
-				for (let k = 0; k < milestoneCount; k++) {
-					const milestoneDate = new Date(startDate);
-					milestoneDate.setDate(milestoneDate.getDate() + k * 7); // Weekly milestones
-
-					const milestone = {
-						project_id: null, // Will be set after project insertion
-						description: `Milestone ${k + 1}: ${faker.lorem.sentence()}`,
-						due_date: milestoneDate.toISOString().split('T')[0],
-						amount: milestoneAmount,
-						status: k < milestoneCount - 1 ? 'completed' : 'completed',
-						created_at: milestoneDate.toISOString(),
-						updated_at: milestoneDate.toISOString(),
-					};
-
-					milestones.push(milestone);
-				}
+				job.updated_at = (
+					status === 'completed' ? endDate : startDate
+				).toISOString();
 			}
-		}
 
-		if (jobs.length === 0) {
-			console.log('❌ No jobs could be created due to missing data');
-			await dbClient.query('ROLLBACK');
-			return;
-		}
-
-		// 4. Insert jobs
-		console.log('💼 Inserting jobs...');
-		const jobColumns = [
-			'client_id',
-			'title',
-			'description',
-			'category_id',
-			'budget_type',
-			'budget_amount',
-			'deadline',
-			'status',
-			'created_at',
-			'updated_at',
-			'applications_count',
-			'category_name',
-		];
-
-		const jobValuePlaceholders = [];
-		const jobValues = [];
-		jobs.forEach((job, idx) => {
-			const baseIdx = idx * jobColumns.length;
-			jobValuePlaceholders.push(
-				`(${jobColumns
-					.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-					.join(', ')})`
-			);
-			jobValues.push(
-				job.client_id,
-				job.title,
-				job.description,
-				job.category_id,
-				job.budget_type,
-				job.budget_amount,
-				job.deadline,
-				job.status,
-				job.created_at,
-				job.updated_at,
-				job.applications_count,
-				job.category_name
-			);
-		});
-
-		const jobQuery = `
-			INSERT INTO jobs (${jobColumns.join(', ')})
-			VALUES ${jobValuePlaceholders.join(',\n')}
-			RETURNING id
-		`;
-
-		const jobResult = await dbClient.query(jobQuery, jobValues);
-		console.log(`✅ Inserted ${jobs.length} jobs`);
-
-		// 5. Insert job skills
-		if (jobSkills.length > 0) {
-			console.log('🔗 Inserting job skills...');
-			const jobSkillColumns = ['job_id', 'skill_id'];
-			const jobSkillValuePlaceholders = [];
-			const jobSkillValues = [];
-
-			jobSkills.forEach((jobSkill, idx) => {
-				// Find the corresponding job using job_index
-				const jobId = jobResult.rows[jobSkill.job_index]?.id;
-				if (!jobId) {
-					console.log(`⚠️  Skipping job skill ${idx} - job not found`);
-					return;
-				}
-
-				const baseIdx = idx * jobSkillColumns.length;
-				jobSkillValuePlaceholders.push(
-					`(${jobSkillColumns
-						.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-						.join(', ')})`
-				);
-				jobSkillValues.push(jobId, jobSkill.skill_id);
-			});
-
-			if (jobSkillValuePlaceholders.length > 0) {
-				const jobSkillQuery = `
-					INSERT INTO job_skills (${jobSkillColumns.join(', ')})
-					VALUES ${jobSkillValuePlaceholders.join(',\n')}
-					ON CONFLICT (job_id, skill_id) DO NOTHING
-				`;
-
-				await dbClient.query(jobSkillQuery, jobSkillValues);
-				console.log(
-					`✅ Inserted ${jobSkillValuePlaceholders.length} job skills`
-				);
+			if (jobs.length === 0) {
+				console.log('❌ No jobs could be created due to missing data');
+				return;
 			}
-		}
 
-		// 6. Insert applications
-		if (applications.length > 0) {
-			console.log('📝 Inserting applications...');
-			const applicationColumns = [
-				'job_id',
-				'freelancer_id',
-				'cover_letter',
-				'proposed_rate',
+			// 4. Insert jobs
+			console.log('💼 Inserting jobs...');
+			const jobColumns = [
+				'client_id',
+				'title',
+				'description',
+				'category_id',
+				'budget_type',
+				'budget_amount',
+				'deadline',
 				'status',
-				'applied_at',
+				'created_at',
+				'updated_at',
+				'applications_count',
 			];
 
-			const applicationValuePlaceholders = [];
-			const applicationValues = [];
-			let jobIndex = 0;
-			let applicationsPerJob = Math.floor(applications.length / jobs.length);
-
-			applications.forEach((application, idx) => {
-				if (idx > 0 && idx % applicationsPerJob === 0) {
-					jobIndex++;
-				}
-
-				application.job_id =
-					jobResult.rows[jobIndex]?.id || jobResult.rows[0].id;
-
-				const baseIdx = idx * applicationColumns.length;
-				applicationValuePlaceholders.push(
-					`(${applicationColumns
-						.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-						.join(', ')})`
-				);
-				applicationValues.push(
-					application.job_id,
-					application.freelancer_id,
-					application.cover_letter,
-					application.proposed_rate,
-					application.status,
-					application.applied_at
-				);
-			});
-
-			const applicationQuery = `
-				INSERT INTO applications (${applicationColumns.join(', ')})
-				VALUES ${applicationValuePlaceholders.join(',\n')}
-			`;
-
-			await dbClient.query(applicationQuery, applicationValues);
-			console.log(`✅ Inserted ${applications.length} applications`);
-		}
-
-		// 7. Update applications_count in jobs
-		console.log('📊 Updating job application counts...');
-		for (let i = 0; i < jobs.length; i++) {
-			const jobId = jobResult.rows[i].id;
-			const applicationCount = applications.filter(
-				(app) => app.job_id === jobId
-			).length;
-
-			await dbClient.query(
-				'UPDATE jobs SET applications_count = $1 WHERE id = $2',
-				[applicationCount, jobId]
+			const jobRows = await insertBatched(
+				client,
+				'jobs',
+				jobColumns,
+				jobs.map((job) => [
+					job.client_id,
+					job.title,
+					job.description,
+					job.category_id,
+					job.budget_type,
+					job.budget_amount,
+					job.deadline,
+					job.status,
+					job.created_at,
+					job.updated_at,
+					job.applications_count,
+				]),
+				{ batchSize, returning: 'id' }
 			);
-		}
+			const jobIds = jobRows.map((row) => row.id);
+			console.log(`✅ Inserted ${jobs.length} jobs`);
+
+			// 5. Insert job skills
+			if (jobSkills.length > 0) {
+				console.log('🔗 Inserting job skills...');
+				await insertBatched(
+					client,
+					'job_skills',
+					['job_id', 'skill_id'],
+					jobSkills.map((jobSkill) => [
+						jobIds[jobSkill.job_index],
+						jobSkill.skill_id,
+					]),
+					{
+						batchSize,
+						onConflict: 'ON CONFLICT (job_id, skill_id) DO NOTHING',
+					}
+				);
+				console.log(`✅ Inserted ${jobSkills.length} job skills`);
+			}
 
-		// 8. Insert projects
-		if (projects.length > 0) {
-			console.log(' Inserting projects...');
-			const projectColumns = [
-				'job_id',
-				'freelancer_id',
-				'status',
-				'start_date',
-				'end_date',
-				'total_amount',
-				'created_at',
-			];
+			// 6. Insert applications
+			if (applications.length > 0) {
+				console.log('📝 Inserting applications...');
+				const applicationColumns = [
+					'job_id',
+					'freelancer_id',
+					'cover_letter',
+					'proposed_rate',
+					'status',
+					'applied_at',
+				];
 
-			const projectValuePlaceholders = [];
-			const projectValues = [];
-			projects.forEach((project, idx) => {
-				// Find corresponding job
-				const jobId =
-					jobResult.rows.find((job) => job.id === project.job_id)?.id ||
-					jobResult.rows[0].id;
-
-				project.job_id = jobId;
-
-				const baseIdx = idx * projectColumns.length;
-				projectValuePlaceholders.push(
-					`(${projectColumns
-						.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-						.join(', ')})`
-				);
-				projectValues.push(
-					project.job_id,
-					project.freelancer_id,
-					project.status,
-					project.start_date,
-					project.end_date,
-					project.total_amount,
-					project.created_at
+				await insertBatched(
+					client,
+					'applications',
+					applicationColumns,
+					applications.map((application) => [
+						jobIds[application.job_index],
+						application.freelancer_id,
+						application.cover_letter,
+						application.proposed_rate,
+						application.status,
+						application.applied_at,
+					]),
+					{ batchSize }
 				);
-			});
+				console.log(`✅ Inserted ${applications.length} applications`);
+			}
 
-			const projectQuery = `
-				INSERT INTO projects (${projectColumns.join(', ')})
-				VALUES ${projectValuePlaceholders.join(',\n')}
-				RETURNING id
+			// 7. Update applications_count in jobs. Counted from the inserted
+			// rows in one statement, so it is right with or without the trigger.
+			console.log('📊 Updating job application counts...');
+			const applicationCountQuery = `
+				UPDATE jobs j
+				SET applications_count = (
+					SELECT COUNT(*) FROM applications a WHERE a.job_id = j.id
+				)
+				WHERE j.id = ANY($1::int[])
 			`;
-
-			const projectResult = await dbClient.query(projectQuery, projectValues);
-			console.log(`✅ Inserted ${projects.length} projects`);
-
-			// 9. Insert milestones
-			if (milestones.length > 0) {
-				console.log('🎯 Inserting milestones...');
-				const milestoneColumns = [
-					'project_id',
-					'description',
-					'due_date',
-					'amount',
+			await client.query(applicationCountQuery, [jobIds]);
+
+			// 8. Insert projects
+			if (projects.length > 0) {
+				console.log(' Inserting projects...');
+				const projectColumns = [
+					'job_id',
+					'freelancer_id',
 					'status',
+					'start_date',
+					'end_date',
+					'total_amount',
 					'created_at',
-					'updated_at',
 				];
 
-				const milestoneValuePlaceholders = [];
-				const milestoneValues = [];
-				milestones.forEach((milestone, idx) => {
-					// Assign project_id to milestones
-					const projectIndex = Math.floor(idx / 3); // Assuming 3 milestones per project
-					milestone.project_id =
-						projectResult.rows[projectIndex]?.id || projectResult.rows[0].id;
-
-					const baseIdx = idx * milestoneColumns.length;
-					milestoneValuePlaceholders.push(
-						`(${milestoneColumns
-							.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-							.join(', ')})`
-					);
-					milestoneValues.push(
-						milestone.project_id,
-						milestone.description,
-						milestone.due_date,
-						milestone.amount,
-						milestone.status,
-						milestone.created_at,
-						milestone.updated_at
+				const projectRows = await insertBatched(
+					client,
+					'projects',
+					projectColumns,
+					projects.map((project) => [
+						jobIds[project.job_index],
+						project.freelancer_id,
+						project.status,
+						project.start_date,
+						project.end_date,
+						project.total_amount,
+						project.created_at,
+					]),
+					{ batchSize, returning: 'id' }
+				);
+				console.log(`✅ Inserted ${projects.length} projects`);
+
+				// 9. Insert milestones
+				if (milestones.length > 0) {
+					console.log('🎯 Inserting milestones...');
+					const milestoneColumns = [
+						'project_id',
+						'description',
+						'due_date',
+						'amount',
+						'status',
+						'created_at',
+						'updated_at',
+					];
+
+					await insertBatched(
+						client,
+						'milestones',
+						milestoneColumns,
+						milestones.map((milestone) => [
+							projectRows[milestone.project_index].id,
+							milestone.description,
+							milestone.due_date,
+							milestone.amount,
+							milestone.status,
+							milestone.created_at,
+							milestone.updated_at,
+						]),
+						{ batchSize }
 					);
-				});
-
-				const milestoneQuery = `
-					INSERT INTO milestones (${milestoneColumns.join(', ')})
-					VALUES ${milestoneValuePlaceholders.join(',\n')}
-				`;
-
-				await dbClient.query(milestoneQuery, milestoneValues);
-				console.log(`✅ Inserted ${milestones.length} milestones`);
+					console.log(`✅ Inserted ${milestones.length} milestones`);
+				}
 			}
-		}
 
-		// Commit transaction
-		await dbClient.query('COMMIT');
-		console.log('🎉 Successfully seeded all jobs and related data!');
+			console.log('🎉 Successfully seeded all jobs and related data!');
+		});
 	} catch (error) {
-		// Rollback on error
-		await dbClient.query('ROLLBACK');
 		console.error('❌ Error seeding jobs:', error);
 		throw error;
 	}
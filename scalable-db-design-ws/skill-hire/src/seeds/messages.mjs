@@ -1,17 +1,31 @@
 import { faker } from '@faker-js/faker';
-import { dbClient } from '../db.mjs';
-
-const START_DATE = new Date('2025-01-01T00:00:00Z');
-const END_DATE = new Date('2025-03-31T23:59:59Z');
-
-// Message types and content templates
-const MESSAGE_TYPES = [
-	'job_inquiry',
-	'application_followup',
-	'project_discussion',
-	'payment_discussion',
-	'general_inquiry',
-];
+import { dbClient, withTransaction } from '../db.mjs';
+import { ensureMonthlyPartitions } from '../partitions.mjs';
+import { copyRows } from '../utils/copy.mjs';
+import { insertBatched } from '../utils/insert.mjs';
+import { timeLoad } from '../utils/throughput.mjs';
+import {
+	createPicker,
+	DEFAULT_DISTRIBUTION,
+	DISTRIBUTION_PROFILES,
+	randomTimestamp,
+	sampleDistinct,
+} from './distributions.mjs';
+
+// Default window for sent_at / created_at; any other window works too, the
+// seeders create the monthly partitions it needs
+export const DEFAULT_START_DATE = new Date('2025-01-01T00:00:00Z');
+export const DEFAULT_END_DATE = new Date('2025-03-31T23:59:59Z');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long after a project ends its reviews come in
+const REVIEW_DAYS = 14;
+
+// What a thread can be about, and the message that opens it
+const THREAD_TOPICS = {
+	job: ['job_inquiry', 'application_followup'],
+	project: ['project_discussion', 'payment_discussion'],
+};
 
 const MESSAGE_TEMPLATES = {
 	job_inquiry: [
@@ -35,500 +49,615 @@ const MESSAGE_TEMPLATES = {
 		'Hello! I have a question about the milestone payments. Can we clarify the schedule?',
 		'Hi there! I wanted to confirm the payment details for the completed work.',
 	],
-	general_inquiry: [
-		'Hi! I have a general question about working together.',
-		'Hello! I wanted to discuss potential future collaborations.',
-		'Hi there! I have some questions about your services.',
-	],
 };
 
-// Notification types and content
-const NOTIFICATION_TYPES = [
-	'application_received',
-	'application_accepted',
-	'application_rejected',
-	'project_started',
-	'milestone_completed',
-	'payment_received',
-	'review_received',
-	'message_received',
-];
+// Every later turn in a thread, by topic and by who is speaking. Each side
+// goes through its list in order, so a thread reads like a conversation.
+const REPLY_TEMPLATES = {
+	job: {
+		client: [
+			'Thanks for reaching out! Could you share some examples of similar work?',
+			'Could you tell me a bit more about how you would approach this?',
+			'The timeline is about four weeks. When would you be able to start?',
+			"Thanks, I'm reviewing the proposals this week and will get back to you soon.",
+		],
+		freelancer: [
+			"Of course, I've attached a few links to similar projects I delivered.",
+			'I would start with a short discovery call and a written plan.',
+			'I could start next week and work around 30 hours a week on it.',
+			"Sounds good, I'm happy to answer any other questions.",
+		],
+	},
+	project: {
+		client: [
+			'Thanks for the update! The progress looks good so far.',
+			"I've reviewed the latest delivery and left some comments.",
+			"Could we move the next milestone's due date up by a few days?",
+			'The payment for the last milestone has been sent.',
+		],
+		freelancer: [
+			'The next milestone is on track for its due date.',
+			"Thanks! I'll address the comments and send a new version tomorrow.",
+			"That should work, I'll adjust the plan and let you know.",
+			'Payment received, thank you!',
+		],
+	},
+};
 
+// Notification text per event type; the ids live in the payload
 const NOTIFICATION_TEMPLATES = {
-	application_received: 'You received a new application for your job posting',
-	application_accepted: 'Your application has been accepted!',
-	application_rejected: 'Your application was not selected for this position',
-	project_started:
-		'Your project has started! Check the project dashboard for updates',
-	milestone_completed: 'A milestone has been completed in your project',
-	payment_received: 'Payment has been processed for your work',
-	review_received: 'You received a new review from your client',
-	message_received: 'You have a new message from',
+	application_received: (event) =>
+		`New application received for job: "${event.title}"`,
+	application_accepted: (event) =>
+		`Your application for "${event.title}" was accepted!`,
+	application_rejected: (event) =>
+		`Your application for "${event.title}" was not selected`,
+	payment_received: (event) =>
+		`Payment of $${Number(event.payload.amount).toFixed(
+			2
+		)} received for a milestone on "${event.title}"`,
+	review_received: (event) =>
+		`You received a ${event.payload.rating}-star review for "${event.title}"`,
 };
 
-function randomDateBetween(start, end) {
-	return new Date(
-		start.getTime() + Math.random() * (end.getTime() - start.getTime())
-	);
-}
+// Everything that notifies someone, oldest first: the job's client when an
+// application comes in, the freelancer when it's decided (at the hire, or
+// when the job was closed) and when a milestone is paid, and the reviewee
+// of a review
+const NOTIFICATION_EVENTS_QUERY = `
+	SELECT type, user_id, occurred_at, title, payload
+	FROM (
+		SELECT 'application_received' AS type, j.client_id AS user_id,
+			a.applied_at AS occurred_at, j.title,
+			jsonb_build_object(
+				'application_id', a.id, 'job_id', j.id, 'freelancer_id', a.freelancer_id
+			) AS payload
+		FROM applications a
+		JOIN jobs j ON a.job_id = j.id
+
+		UNION ALL
+
+		SELECT 'application_' || a.status, a.freelancer_id,
+			COALESCE(p.created_at, j.updated_at), j.title,
+			jsonb_build_object('application_id', a.id, 'job_id', j.id)
+		FROM applications a
+		JOIN jobs j ON a.job_id = j.id
+		LEFT JOIN projects p ON p.job_id = j.id
+		WHERE a.status IN ('accepted', 'rejected')
+
+		UNION ALL
+
+		SELECT 'payment_received', p.freelancer_id, m.updated_at, j.title,
+			jsonb_build_object(
+				'milestone_id', m.id, 'project_id', p.id, 'amount', m.amount
+			)
+		FROM milestones m
+		JOIN projects p ON m.project_id = p.id
+		JOIN jobs j ON p.job_id = j.id
+		WHERE m.status = 'paid'
+
+		UNION ALL
 
-// Safe array element selection with fallback
-function safeArrayElement(array, fallback = null) {
-	if (!array || array.length === 0) {
-		return fallback;
+		SELECT 'review_received', r.reviewee_id, r.created_at, j.title,
+			jsonb_build_object(
+				'review_id', r.id, 'project_id', p.id,
+				'reviewer_id', r.reviewer_id, 'rating', r.rating
+			)
+		FROM reviews r
+		JOIN projects p ON r.project_id = p.id
+		JOIN jobs j ON p.job_id = j.id
+	) events
+	WHERE occurred_at BETWEEN $1 AND $2
+	ORDER BY occurred_at, type, user_id, payload::text
+`;
+
+function* mapRows(items, toRow) {
+	for (const item of items) {
+		yield toRow(item);
 	}
-	return faker.helpers.arrayElement(array);
 }
 
-export async function seedMessages() {
-	try {
-		console.log('💬 Starting to seed messages...');
-
-		// Start transaction
-		await dbClient.query('BEGIN');
+// Rows a COPY load also pushes through INSERT, so the summary has a baseline
+const INSERT_SAMPLE_SIZE = 1000;
 
-		// Get existing data
-		const users = await dbClient.query(`
-			SELECT id, user_type FROM users 
-			WHERE account_status = 'active'
-		`);
+// Keep the first `size` rows in `sample` as they stream past
+function* sampleRows(rows, size, sample) {
+	for (const row of rows) {
+		if (sample.length < size) {
+			sample.push(row);
+		}
+		yield row;
+	}
+}
 
-		const jobs = await dbClient.query(`
-			SELECT id, client_id, title FROM jobs 
-			WHERE status IN ('open', 'in_progress')
-		`);
+// Load rows with batched INSERTs or a streaming COPY. Both paths are timed
+// the same way (generation included) so their throughput is comparable.
+// A COPY load then INSERTs a sample of the same rows into the same table
+// and rolls it back, so the summary can compare the two within one run.
+// The sample is already generated, so it flatters INSERT a little; its
+// rolled-back rows still take ids from the sequence, after the ones COPY used.
+async function loadRows(client, table, columns, rows, { loader, batchSize }) {
+	if (loader === 'copy') {
+		const sample = [];
+		const copied = await timeLoad(table, 'COPY', () =>
+			copyRows(
+				client,
+				table,
+				columns,
+				sampleRows(rows, INSERT_SAMPLE_SIZE, sample)
+			)
+		);
+		await client.query('SAVEPOINT insert_sample');
+		await timeLoad(table, 'INSERT (sample)', async () => {
+			await insertBatched(client, table, columns, sample, { batchSize });
+			return sample.length;
+		});
+		await client.query('ROLLBACK TO SAVEPOINT insert_sample');
+		return copied;
+	}
+	return timeLoad(table, 'INSERT', async () => {
+		const rowArray = Array.from(rows);
+		await insertBatched(client, table, columns, rowArray, { batchSize });
+		return rowArray.length;
+	});
+}
 
-		const projects = await dbClient.query(`
-			SELECT id, job_id, freelancer_id, status FROM projects 
-			WHERE status IN ('in_progress', 'completed')
-		`);
+// Conversations between the same two users, keyed the way messageThread
+// looks them up
+function conversationKey(firstUserId, secondUserId) {
+	return firstUserId < secondUserId
+		? `${firstUserId}:${secondUserId}`
+		: `${secondUserId}:${firstUserId}`;
+}
 
-		if (users.rows.length === 0) {
-			console.log('❌ No active users found');
-			await dbClient.query('ROLLBACK');
-			return;
+// Messages are generated lazily so the COPY loader can stream any number of
+// them without holding the whole table in memory. They come in threads: an
+// applicant and the job's client, or a project's client and freelancer,
+// taking turns with sent_at increasing. Picking the same two users again
+// continues their conversation after its last message, so every thread
+// view alternates and reads in order.
+function* generateMessages(
+	count,
+	{ applications, projects, startDate, endDate, distribution }
+) {
+	const pickApplication = createPicker(applications, distribution);
+	// Active projects talk the most; completed ones still settle payments
+	const pickProject = createPicker(projects, distribution, {
+		weight: (project) => (project.status === 'in_progress' ? 4 : 1),
+	});
+	const projectShare =
+		projects.length === 0 ? 0 : applications.length === 0 ? 1 : 0.5;
+
+	// For each pair of users that has talked: the last sent_at and sender,
+	// which topics have been opened and how many replies each side has sent
+	const conversations = new Map();
+
+	let generated = 0;
+	// Pairs whose conversation already reached endDate are skipped, so stop
+	// trying eventually instead of looping forever on a full window
+	for (let attempt = 0; generated < count && attempt < count * 2; attempt++) {
+		const topic = faker.datatype.boolean({ probability: projectShare })
+			? 'project'
+			: 'job';
+		const thread = topic === 'project' ? pickProject() : pickApplication();
+		if (!thread) continue;
+
+		const clientId = thread.client_id;
+		const freelancerId = thread.freelancer_id;
+		const key = conversationKey(clientId, freelancerId);
+		const previous = conversations.get(key);
+		const sent = previous?.sent ?? {};
+		// Once hired, the two talk about the project rather than the job
+		if (topic === 'job' && sent.project) continue;
+
+		// Applicants open job threads; either side can open a project thread.
+		// A continued conversation picks up with whoever didn't speak last.
+		const otherSide = (userId) =>
+			userId === clientId ? freelancerId : clientId;
+		let senderId;
+		if (previous) {
+			senderId = otherSide(previous.senderId);
+		} else if (topic === 'job' || faker.datatype.boolean()) {
+			senderId = freelancerId;
+		} else {
+			senderId = clientId;
 		}
-
-		console.log(
-			`Found ${users.rows.length} users, ${jobs.rows.length} jobs, ${projects.rows.length} projects`
+		// Nobody talks about an application or project before it exists
+		const threadStart = new Date(
+			Math.max(startDate.getTime(), thread.created_at.getTime())
 		);
+		if (threadStart > endDate) continue;
+		let sentAt = previous
+			? new Date(
+					previous.sentAt.getTime() +
+						faker.number.int({ min: 1, max: 3 * 24 * 60 }) * 60 * 1000
+			  )
+			: randomTimestamp(threadStart, endDate, distribution);
+		if (sentAt < threadStart) {
+			sentAt = threadStart;
+		}
 
-		const messages = [];
-		const messageCount = 5000; // Large number of messages
+		const length = Math.min(
+			faker.number.int({ min: 2, max: 8 }),
+			count - generated
+		);
+		for (let i = 0; i < length && sentAt <= endDate; i++) {
+			const role = senderId === clientId ? 'client' : 'freelancer';
+			const opensThread =
+				!sent[topic] && (topic === 'project' || role === 'freelancer');
+			const replies = REPLY_TEMPLATES[topic][role];
+			const replyCount = sent[`${topic}:${role}`] ?? 0;
+
+			yield {
+				sender_id: senderId,
+				receiver_id: otherSide(senderId),
+				job_id: topic === 'job' ? thread.job_id : null,
+				project_id: topic === 'project' ? thread.id : null,
+				content: opensThread
+					? faker.helpers.arrayElement(
+							MESSAGE_TEMPLATES[
+								faker.helpers.arrayElement(THREAD_TOPICS[topic])
+							]
+					  )
+					: replies[replyCount % replies.length],
+				sent_at: sentAt.toISOString(),
+			};
+			generated++;
+			if (opensThread) {
+				sent[topic] = true;
+			} else {
+				sent[`${topic}:${role}`] = replyCount + 1;
+			}
+			conversations.set(key, { sentAt, senderId, sent });
 
-		for (let i = 0; i < messageCount; i++) {
-			const sender = safeArrayElement(users.rows);
-			const receiver = safeArrayElement(
-				users.rows.filter((u) => u.id !== sender?.id)
+			// Replies come a few minutes to most of a day later
+			senderId = otherSide(senderId);
+			sentAt = new Date(
+				sentAt.getTime() +
+					faker.number.int({ min: 2, max: 18 * 60 }) * 60 * 1000
 			);
+		}
+	}
+}
 
-			if (!sender || !receiver) continue;
+// One notification per event, a few seconds to minutes after it. With more
+// events than `count`, a random `count` of them keep their notification.
+function* generateNotifications(count, { events, endDate }) {
+	let selected = events;
+	if (events.length > count) {
+		const indexes = faker.helpers.arrayElements(
+			events.map((_, index) => index),
+			count
+		);
+		selected = indexes.sort((a, b) => a - b).map((index) => events[index]);
+	}
 
-			const messageType = faker.helpers.arrayElement(MESSAGE_TYPES);
-			const template = faker.helpers.arrayElement(
-				MESSAGE_TEMPLATES[messageType]
-			);
-			const sentAt = randomDateBetween(START_DATE, END_DATE);
+	for (const event of selected) {
+		const createdAt = new Date(
+			Math.min(
+				event.occurred_at.getTime() +
+					faker.number.int({ min: 1, max: 600 }) * 1000,
+				endDate.getTime()
+			)
+		);
 
-			const message = {
-				sender_id: sender.id,
-				receiver_id: receiver.id,
-				content: template,
-				sent_at: sentAt.toISOString(),
-				job_id: null,
-				project_id: null,
-			};
+		yield {
+			user_id: event.user_id,
+			type: event.type,
+			content: NOTIFICATION_TEMPLATES[event.type](event),
+			is_read: faker.datatype.boolean({ probability: 0.7 }), // 70% chance of being read
+			created_at: createdAt.toISOString(),
+			payload: event.payload,
+		};
+	}
+}
 
-			// Assign job_id or project_id based on message type
-			if (
-				messageType === 'job_inquiry' ||
-				messageType === 'application_followup'
-			) {
-				const job = safeArrayElement(jobs.rows);
-				if (job) {
-					message.job_id = job.id;
-				}
-			} else if (
-				messageType === 'project_discussion' ||
-				messageType === 'payment_discussion'
-			) {
-				const project = safeArrayElement(projects.rows);
-				if (project) {
-					message.project_id = project.id;
-				}
-			}
+export async function seedMessages(
+	count = 5000,
+	{
+		batchSize,
+		loader = 'insert',
+		startDate = DEFAULT_START_DATE,
+		endDate = DEFAULT_END_DATE,
+		distribution = DISTRIBUTION_PROFILES[DEFAULT_DISTRIBUTION],
+	} = {}
+) {
+	try {
+		console.log('💬 Starting to seed messages...');
 
-			messages.push(message);
-		}
+		await withTransaction(async (client) => {
+			// Get existing data
+			const applications = await client.query(`
+				SELECT a.job_id, a.freelancer_id, j.client_id, a.applied_at AS created_at
+				FROM applications a
+				JOIN jobs j ON a.job_id = j.id
+				WHERE j.status IN ('open', 'in_progress')
+				ORDER BY a.id
+			`);
+
+			const projects = await client.query(`
+				SELECT p.id, p.freelancer_id, j.client_id, p.status, p.created_at
+				FROM projects p
+				JOIN jobs j ON p.job_id = j.id
+				WHERE p.status IN ('in_progress', 'completed')
+				ORDER BY p.id
+			`);
+
+			if (applications.rows.length === 0 && projects.rows.length === 0) {
+				console.log(
+					'❌ No applications or projects to talk about. Please seed jobs first.'
+				);
+				return;
+			}
 
-		// Insert messages
-		console.log('�� Inserting messages...');
-		const messageColumns = [
-			'sender_id',
-			'receiver_id',
-			'job_id',
-			'project_id',
-			'content',
-			'sent_at',
-		];
-
-		const messageValuePlaceholders = [];
-		const messageValues = [];
-
-		messages.forEach((message, idx) => {
-			const baseIdx = idx * messageColumns.length;
-			messageValuePlaceholders.push(
-				`(${messageColumns
-					.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-					.join(', ')})`
-			);
-			messageValues.push(
-				message.sender_id,
-				message.receiver_id,
-				message.job_id,
-				message.project_id,
-				message.content,
-				message.sent_at
+			console.log(
+				`Found ${applications.rows.length} applications to open jobs and ${projects.rows.length} projects`
 			);
-		});
 
-		const messageQuery = `
-			INSERT INTO messages (${messageColumns.join(', ')})
-			VALUES ${messageValuePlaceholders.join(',\n')}
-		`;
-
-		await dbClient.query(messageQuery, messageValues);
-		console.log(`✅ Inserted ${messages.length} messages`);
+			await ensureMonthlyPartitions(client, 'messages', startDate, endDate);
+
+			// Insert messages
+			console.log(`📨 Loading messages via ${loader.toUpperCase()}...`);
+			const messageColumns = [
+				'sender_id',
+				'receiver_id',
+				'job_id',
+				'project_id',
+				'content',
+				'sent_at',
+			];
+
+			const messages = generateMessages(count, {
+				applications: applications.rows,
+				projects: projects.rows,
+				startDate,
+				endDate,
+				distribution,
+			});
+			const inserted = await loadRows(
+				client,
+				'messages',
+				messageColumns,
+				mapRows(messages, (message) => [
+					message.sender_id,
+					message.receiver_id,
+					message.job_id,
+					message.project_id,
+					message.content,
+					message.sent_at,
+				]),
+				{ loader, batchSize }
+			);
+			console.log(`✅ Inserted ${inserted} messages`);
 
-		// Commit transaction
-		await dbClient.query('COMMIT');
-		console.log('🎉 Successfully seeded messages!');
+			console.log('🎉 Successfully seeded messages!');
+		});
 	} catch (error) {
-		await dbClient.query('ROLLBACK');
 		console.error('❌ Error seeding messages:', error);
 		throw error;
 	}
 }
 
-export async function seedNotifications() {
+export async function seedNotifications(
+	count = 3000,
+	{
+		batchSize,
+		loader = 'insert',
+		startDate = DEFAULT_START_DATE,
+		endDate = DEFAULT_END_DATE,
+	} = {}
+) {
 	try {
 		console.log('🔔 Starting to seed notifications...');
 
-		// Start transaction
-		await dbClient.query('BEGIN');
-
-		// Get existing data
-		const users = await dbClient.query(`
-			SELECT id, user_type FROM users 
-			WHERE account_status = 'active'
-		`);
-
-		const applications = await dbClient.query(`
-			SELECT a.id, a.freelancer_id, j.client_id, j.title 
-			FROM applications a 
-			JOIN jobs j ON a.job_id = j.id
-		`);
-
-		const projects = await dbClient.query(`
-			SELECT id, freelancer_id, job_id FROM projects
-		`);
-
-		const reviews = await dbClient.query(`
-			SELECT id, reviewer_id, reviewee_id FROM reviews
-		`);
-
-		if (users.rows.length === 0) {
-			console.log('❌ No active users found');
-			await dbClient.query('ROLLBACK');
-			return;
-		}
-
-		console.log(
-			`Found ${users.rows.length} users, ${applications.rows.length} applications, ${projects.rows.length} projects`
-		);
-
-		const notifications = [];
-		const notificationCount = 3000; // Large number of notifications
-
-		for (let i = 0; i < notificationCount; i++) {
-			const user = safeArrayElement(users.rows);
-			if (!user) continue;
-
-			const notificationType = faker.helpers.arrayElement(NOTIFICATION_TYPES);
-			const template = NOTIFICATION_TEMPLATES[notificationType];
-			const createdAt = randomDateBetween(START_DATE, END_DATE);
-			const isRead = faker.datatype.boolean({ probability: 0.7 }); // 70% chance of being read
-
-			let content = template;
-			let relatedUserId = null;
-
-			// Generate specific content based on notification type
-			switch (notificationType) {
-				case 'application_received':
-					const application = safeArrayElement(applications.rows);
-					if (application && application.client_id === user.id) {
-						content = `New application received for job: "${application.title}"`;
-						relatedUserId = application.freelancer_id;
-					}
-					break;
-
-				case 'application_accepted':
-				case 'application_rejected':
-					const userApplication = safeArrayElement(
-						applications.rows.filter((a) => a.freelancer_id === user.id)
-					);
-					if (userApplication) {
-						content = `Your application for "${userApplication.title}" was ${
-							notificationType === 'application_accepted'
-								? 'accepted'
-								: 'rejected'
-						}`;
-						relatedUserId = userApplication.client_id;
-					}
-					break;
-
-				case 'project_started':
-					const userProject = safeArrayElement(
-						projects.rows.filter(
-							(p) => p.freelancer_id === user.id || p.job_id === user.id
-						)
-					);
-					if (userProject) {
-						content =
-							'Your project has started! Check the dashboard for updates.';
-					}
-					break;
-
-				case 'milestone_completed':
-					const project = safeArrayElement(projects.rows);
-					if (project) {
-						content = 'A milestone has been completed in your project.';
-					}
-					break;
-
-				case 'payment_received':
-					content = 'Payment has been processed for your work.';
-					break;
-
-				case 'review_received':
-					const userReview = safeArrayElement(
-						reviews.rows.filter((r) => r.reviewee_id === user.id)
-					);
-					if (userReview) {
-						content = 'You received a new review from your client.';
-						relatedUserId = userReview.reviewer_id;
-					}
-					break;
-
-				case 'message_received':
-					const otherUser = safeArrayElement(
-						users.rows.filter((u) => u.id !== user.id)
-					);
-					if (otherUser) {
-						content = `You have a new message from ${otherUser.user_type}`;
-						relatedUserId = otherUser.id;
-					}
-					break;
+		await withTransaction(async (client) => {
+			// Get the events that happened inside the window
+			const events = await client.query(NOTIFICATION_EVENTS_QUERY, [
+				startDate,
+				endDate,
+			]);
+
+			if (events.rows.length === 0) {
+				console.log(
+					'❌ No applications, payments or reviews to notify about. Please seed jobs and reviews first.'
+				);
+				return;
 			}
 
-			const notification = {
-				user_id: user.id,
-				type: notificationType,
-				content: content,
-				is_read: isRead,
-				created_at: createdAt.toISOString(),
-			};
+			console.log(`Found ${events.rows.length} events to notify about`);
 
-			notifications.push(notification);
-		}
-
-		// Insert notifications
-		console.log('📝 Inserting notifications...');
-		const notificationColumns = [
-			'user_id',
-			'type',
-			'content',
-			'is_read',
-			'created_at',
-		];
-
-		const notificationValuePlaceholders = [];
-		const notificationValues = [];
-
-		notifications.forEach((notification, idx) => {
-			const baseIdx = idx * notificationColumns.length;
-			notificationValuePlaceholders.push(
-				`(${notificationColumns
-					.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-					.join(', ')})`
-			);
-			notificationValues.push(
-				notification.user_id,
-				notification.type,
-				notification.content,
-				notification.is_read,
-				notification.created_at
+			await ensureMonthlyPartitions(
+				client,
+				'notifications',
+				startDate,
+				endDate
 			);
-		});
 
-		const notificationQuery = `
-			INSERT INTO notifications (${notificationColumns.join(', ')})
-			VALUES ${notificationValuePlaceholders.join(',\n')}
-		`;
-
-		await dbClient.query(notificationQuery, notificationValues);
-		console.log(`✅ Inserted ${notifications.length} notifications`);
+			// Insert notifications
+			console.log(`📝 Loading notifications via ${loader.toUpperCase()}...`);
+			const notificationColumns = [
+				'user_id',
+				'type',
+				'content',
+				'is_read',
+				'created_at',
+				'payload',
+			];
+
+			const notifications = generateNotifications(count, {
+				events: events.rows,
+				endDate,
+			});
+			const inserted = await loadRows(
+				client,
+				'notifications',
+				notificationColumns,
+				mapRows(notifications, (notification) => [
+					notification.user_id,
+					notification.type,
+					notification.content,
+					notification.is_read,
+					notification.created_at,
+					JSON.stringify(notification.payload),
+				]),
+				{ loader, batchSize }
+			);
+			console.log(`✅ Inserted ${inserted} notifications`);
 
-		// Commit transaction
-		await dbClient.query('COMMIT');
-		console.log('🎉 Successfully seeded notifications!');
+			console.log('🎉 Successfully seeded notifications!');
+		});
 	} catch (error) {
-		await dbClient.query('ROLLBACK');
 		console.error('❌ Error seeding notifications:', error);
 		throw error;
 	}
 }
 
-export async function seedReviews() {
+export async function seedReviews(
+	count,
+	{
+		batchSize,
+		startDate = DEFAULT_START_DATE,
+		endDate = DEFAULT_END_DATE,
+		distribution = DISTRIBUTION_PROFILES[DEFAULT_DISTRIBUTION],
+	} = {}
+) {
 	try {
 		console.log('⭐ Starting to seed reviews...');
 
-		// Start transaction
-		await dbClient.query('BEGIN');
-
-		// Get existing data
-		const completedProjects = await dbClient.query(`
-			SELECT p.id, p.freelancer_id, p.job_id, j.client_id, p.total_amount
-			FROM projects p
-			JOIN jobs j ON p.job_id = j.id
-			WHERE p.status = 'completed'
-		`);
+		await withTransaction(async (client) => {
+			// Completed projects, with the days after end_date when their client
+			// and freelancer review each other
+			const completedProjects = await client.query(`
+				SELECT p.id, p.freelancer_id, p.job_id, j.client_id, p.total_amount,
+					(p.end_date + 1)::text AS reviewable_from
+				FROM projects p
+				JOIN jobs j ON p.job_id = j.id
+				WHERE p.status = 'completed'
+				ORDER BY p.id
+			`);
+
+			if (completedProjects.rows.length === 0) {
+				console.log(
+					'❌ No completed projects found. Please seed projects first.'
+				);
+				return;
+			}
 
-		if (completedProjects.rows.length === 0) {
-			console.log(
-				'❌ No completed projects found. Please seed projects first.'
-			);
-			await dbClient.query('ROLLBACK');
-			return;
-		}
+			console.log(`Found ${completedProjects.rows.length} completed projects`);
+
+			// One candidate per side of each project, reviewing the other side
+			// within REVIEW_DAYS of the end; the ones that would fall outside the
+			// window are left out
+			const candidates = [];
+			for (const project of completedProjects.rows) {
+				const from = new Date(`${project.reviewable_from}T00:00:00Z`);
+				const earliest = new Date(
+					Math.max(from.getTime(), startDate.getTime())
+				);
+				const latest = new Date(
+					Math.min(from.getTime() + REVIEW_DAYS * DAY_MS, endDate.getTime())
+				);
+				if (earliest > latest) continue;
+
+				for (const isClientReviewing of [true, false]) {
+					candidates.push({ project, isClientReviewing, earliest, latest });
+				}
+			}
 
-		console.log(`Found ${completedProjects.rows.length} completed projects`);
-
-		const reviews = [];
-		const reviewCount = Math.min(completedProjects.rows.length * 2, 500); // 2 reviews per project, max 500
-
-		for (let i = 0; i < reviewCount; i++) {
-			const project = safeArrayElement(completedProjects.rows);
-			if (!project) continue;
-
-			// Determine who is reviewing whom
-			const isClientReviewing = faker.datatype.boolean(); // 50% chance
-			const reviewerId = isClientReviewing
-				? project.client_id
-				: project.freelancer_id;
-			const revieweeId = isClientReviewing
-				? project.freelancer_id
-				: project.client_id;
-
-			const rating = faker.helpers.rangeToNumber({ min: 1, max: 5 });
-			const createdAt = randomDateBetween(START_DATE, END_DATE);
-
-			// Generate review comment based on rating
-			let comment;
-			if (rating >= 4) {
-				comment = faker.helpers.arrayElement([
-					'Excellent work! Very professional and delivered on time.',
-					'Great communication and high-quality deliverables.',
-					'Highly recommended! Exceeded expectations.',
-					'Outstanding work quality and attention to detail.',
-					'Very satisfied with the results. Would work together again!',
-				]);
-			} else if (rating >= 3) {
-				comment = faker.helpers.arrayElement([
-					'Good work overall, met the basic requirements.',
-					'Decent quality, some room for improvement.',
-					'Acceptable work, communication was okay.',
-					'Project completed successfully, minor issues.',
-					'Fair work quality, would consider for future projects.',
-				]);
-			} else {
-				comment = faker.helpers.arrayElement([
-					'Work was completed but quality could be better.',
-					'Some issues with communication and timeline.',
-					'Project delivered but not up to expectations.',
-					'Basic requirements met but quality was lacking.',
-					'Work completed but would not recommend.',
-				]);
+			const reviewCount = count ?? Math.min(candidates.length, 500); // Every candidate, max 500
+			// Each side reviews a project at most once
+			if (candidates.length < reviewCount) {
+				console.log(
+					`⚠️  Only ${candidates.length} of ${reviewCount} reviews fit: one per side of each completed project, after it ended and inside the window`
+				);
 			}
+			const picked = sampleDistinct(candidates, reviewCount, distribution);
+
+			const reviews = [];
+			for (const { project, isClientReviewing, earliest, latest } of picked) {
+				// Determine who is reviewing whom
+				const reviewerId = isClientReviewing
+					? project.client_id
+					: project.freelancer_id;
+				const revieweeId = isClientReviewing
+					? project.freelancer_id
+					: project.client_id;
+
+				const rating = faker.helpers.rangeToNumber({ min: 1, max: 5 });
+				const createdAt = randomTimestamp(earliest, latest, distribution);
+
+				// Generate review comment based on rating
+				let comment;
+				if (rating >= 4) {
+					comment = faker.helpers.arrayElement([
+						'Excellent work! Very professional and delivered on time.',
+						'Great communication and high-quality deliverables.',
+						'Highly recommended! Exceeded expectations.',
+						'Outstanding work quality and attention to detail.',
+						'Very satisfied with the results. Would work together again!',
+					]);
+				} else if (rating >= 3) {
+					comment = faker.helpers.arrayElement([
+						'Good work overall, met the basic requirements.',
+						'Decent quality, some room for improvement.',
+						'Acceptable work, communication was okay.',
+						'Project completed successfully, minor issues.',
+						'Fair work quality, would consider for future projects.',
+					]);
+				} else {
+					comment = faker.helpers.arrayElement([
+						'Work was completed but quality could be better.',
+						'Some issues with communication and timeline.',
+						'Project delivered but not up to expectations.',
+						'Basic requirements met but quality was lacking.',
+						'Work completed but would not recommend.',
+					]);
+				}
 
-			const review = {
-				project_id: project.id,
-				reviewer_id: reviewerId,
-				reviewee_id: revieweeId,
-				rating: rating,
-				comment: comment,
-				created_at: createdAt.toISOString(),
-			};
+				const review = {
+					project_id: project.id,
+					reviewer_id: reviewerId,
+					reviewee_id: revieweeId,
+					rating: rating,
+					comment: comment,
+					created_at: createdAt.toISOString(),
+				};
 
-			reviews.push(review);
-		}
+				reviews.push(review);
+			}
 
-		// Insert reviews
-		console.log('📝 Inserting reviews...');
-		const reviewColumns = [
-			'project_id',
-			'reviewer_id',
-			'reviewee_id',
-			'rating',
-			'comment',
-			'created_at',
-		];
-
-		const reviewValuePlaceholders = [];
-		const reviewValues = [];
-
-		reviews.forEach((review, idx) => {
-			const baseIdx = idx * reviewColumns.length;
-			reviewValuePlaceholders.push(
-				`(${reviewColumns
-					.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-					.join(', ')})`
-			);
-			reviewValues.push(
-				review.project_id,
-				review.reviewer_id,
-				review.reviewee_id,
-				review.rating,
-				review.comment,
-				review.created_at
+			// Insert reviews
+			console.log('📝 Inserting reviews...');
+			const reviewColumns = [
+				'project_id',
+				'reviewer_id',
+				'reviewee_id',
+				'rating',
+				'comment',
+				'created_at',
+			];
+
+			await insertBatched(
+				client,
+				'reviews',
+				reviewColumns,
+				reviews.map((review) => [
+					review.project_id,
+					review.reviewer_id,
+					review.reviewee_id,
+					review.rating,
+					review.comment,
+					review.created_at,
+				]),
+				{ batchSize }
 			);
-		});
+			console.log(`✅ Inserted ${reviews.length} reviews`);
 
-		const reviewQuery = `
-			INSERT INTO reviews (${reviewColumns.join(', ')})
-			VALUES ${reviewValuePlaceholders.join(',\n')}
-		`;
-
-		await dbClient.query(reviewQuery, reviewValues);
-		console.log(`✅ Inserted ${reviews.length} reviews`);
-
-		// Update average ratings for users
-		console.log('📊 Updating user average ratings...');
-		const ratingUpdateQuery = `
-			UPDATE users 
-			SET average_rating = (
-				SELECT COALESCE(AVG(rating), 0)
-				FROM reviews 
-				WHERE reviewee_id = users.id
-			)
-		`;
-		await dbClient.query(ratingUpdateQuery);
+			// users.average_rating is kept up to date by a trigger on reviews
 
-		// Commit transaction
-		await dbClient.query('COMMIT');
-		console.log('🎉 Successfully seeded reviews!');
+			console.log('🎉 Successfully seeded reviews!');
+		});
 	} catch (error) {
-		await dbClient.query('ROLLBACK');
 		console.error('❌ Error seeding reviews:', error);
 		throw error;
 	}
@@ -0,0 +1,62 @@
+import { randomInt } from 'node:crypto';
+import { faker } from '@faker-js/faker';
+
+// Every random choice in the seeders goes through faker, so seeding faker is
+// enough to make a whole run reproducible. Don't use Math.random() in seeds.
+
+// Faker's own date helpers fall back to "now"; pin them so nothing depends
+// on when the seeder runs.
+const REFERENCE_DATE = new Date('2025-04-01T00:00:00Z');
+
+// Users sign up and jobs are posted from the start of the month this many
+// months before the seed window (2024-11-01 for the default one), so the
+// window opens on a marketplace that already has people and work in it
+export const LEAD_IN_MONTHS = 2;
+
+export function randomSeed() {
+	return randomInt(2 ** 31);
+}
+
+// Reseed per stage so `--only jobs` produces the same jobs as a full run
+// with the same seed, regardless of which stages ran before it.
+export function seedStage(seed, stageIndex) {
+	faker.seed([seed, stageIndex]);
+	faker.setDefaultRefDate(REFERENCE_DATE);
+}
+
+export function randomDateBetween(start, end) {
+	return new Date(
+		faker.number.int({ min: start.getTime(), max: end.getTime() })
+	);
+}
+
+export function randomDateInFuture(fromDate, daysRange = 30) {
+	const futureDate = new Date(fromDate);
+	futureDate.setDate(
+		futureDate.getDate() + faker.number.int({ min: 0, max: daysRange - 1 })
+	);
+	return futureDate;
+}
+
+// Safe array element selection with fallback
+export function safeArrayElement(array, fallback = null) {
+	if (!array || array.length === 0) {
+		return fallback;
+	}
+	return faker.helpers.arrayElement(array);
+}
+
+// Pick an element other than `exclude` without copying the array, so large
+// message counts don't pay for a filter() per row
+export function safeOtherElement(array, exclude, fallback = null) {
+	if (!array || array.length < 2 || !exclude) {
+		return fallback;
+	}
+	const element = faker.helpers.arrayElement(array);
+	if (element !== exclude) {
+		return element;
+	}
+	// Step to a neighbour instead of re-rolling
+	const index = array.indexOf(element);
+	return array[(index + 1) % array.length];
+}
@@ -1,9 +1,17 @@
 import { faker } from '@faker-js/faker';
-import { dbClient } from '../db.mjs';
+import { hashPassword } from '../credentials.mjs';
+import { dbClient, withTransaction } from '../db.mjs';
+import { addMonths } from '../partitions.mjs';
+import { insertBatched } from '../utils/insert.mjs';
+import { DEFAULT_END_DATE, DEFAULT_START_DATE } from './messages.mjs';
+import { LEAD_IN_MONTHS, randomDateBetween } from './random.mjs';
 
 const ACCOUNT_STATUSES = ['active', 'inactive', 'suspended'];
-const START_DATE = new Date('2024-11-01T00:00:00Z');
-const END_DATE = new Date('2025-03-31T23:59:59Z');
+
+// Seeded users get real scrypt hashes, at a much lower cost than
+// DEFAULT_COST so seeding thousands of users stays fast; login() upgrades
+// them on first use. Salts come from faker to keep seeding reproducible.
+const SEED_HASH_COST = { N: 2 ** 10, r: 8, p: 1 };
 
 // Define all available skills
 const ALL_SKILLS = [
@@ -79,42 +87,23 @@ const ALL_SKILLS = [
 	'OpenID Connect',
 ];
 
-function randomDateBetween(start, end) {
-	return new Date(
-		start.getTime() + Math.random() * (end.getTime() - start.getTime())
-	);
-}
-
 // First, seed the skills table
 export async function seedSkills() {
 	try {
 		console.log('🌱 Seeding skills table...');
 
 		const skillColumns = ['id', 'name', 'description'];
-		const skillValuePlaceholders = [];
-		const skillValues = [];
-
-		ALL_SKILLS.forEach((skill, idx) => {
-			const baseIdx = idx * skillColumns.length;
-			skillValuePlaceholders.push(
-				`(${skillColumns
-					.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-					.join(', ')})`
-			);
-			skillValues.push(
-				idx + 1, // id
-				skill, // name
-				`Expertise in ${skill} development and implementation` // description
-			);
-		});
-
-		const skillQuery = `
-			INSERT INTO skills (${skillColumns.join(', ')})
-			VALUES ${skillValuePlaceholders.join(',\n')}
-			ON CONFLICT (id) DO NOTHING
-		`;
-
-		await dbClient.query(skillQuery, skillValues);
+		const skillRows = ALL_SKILLS.map((skill, idx) => [
+			idx + 1, // id
+			skill, // name
+			`Expertise in ${skill} development and implementation`, // description
+		]);
+
+		await withTransaction((client) =>
+			insertBatched(client, 'skills', skillColumns, skillRows, {
+				onConflict: 'ON CONFLICT (id) DO NOTHING',
+			})
+		);
 		console.log(`✅ Inserted ${ALL_SKILLS.length} skills`);
 	} catch (error) {
 		console.error('❌ Error seeding skills:', error);
@@ -122,7 +111,16 @@ export async function seedSkills() {
 	}
 }
 
-export async function seedUsersWithProfiles(count = 100) {
+export async function seedUsersWithProfiles(
+	count = 100,
+	{
+		batchSize,
+		password,
+		startDate = DEFAULT_START_DATE,
+		endDate = DEFAULT_END_DATE,
+	} = {}
+) {
+	const signupsFrom = addMonths(startDate, -LEAD_IN_MONTHS);
 	const users = [];
 	const freelancerProfiles = [];
 	const clientProfiles = [];
@@ -137,18 +135,22 @@ export async function seedUsersWithProfiles(count = 100) {
 
 	// Generate users with profiles
 	for (let i = 0; i < count; i++) {
-		const createdAt = randomDateBetween(START_DATE, END_DATE);
-		const updatedAt = randomDateBetween(createdAt, END_DATE);
+		const createdAt = randomDateBetween(signupsFrom, endDate);
+		const updatedAt = randomDateBetween(createdAt, endDate);
 		const userType = i < numFreelancers ? 'freelancer' : 'client';
 
 		const user = {
-			email: faker.internet.email(),
-			password: faker.internet.password(),
+			email: faker.internet.email().toLowerCase(),
+			password: password ?? faker.internet.password(),
+			salt: Buffer.from(
+				faker.string.hexadecimal({ length: 32, prefix: '' }),
+				'hex'
+			),
 			user_type: userType,
 			account_status: faker.helpers.arrayElement(ACCOUNT_STATUSES),
 			created_at: createdAt.toISOString(),
 			updated_at: updatedAt.toISOString(),
-			average_rating: faker.helpers.rangeToNumber({ min: 1, max: 5 }),
+			// average_rating starts at 0 and follows the user's reviews (trigger)
 		};
 
 		users.push(user);
@@ -171,7 +173,7 @@ export async function seedUsersWithProfiles(count = 100) {
 					experience_years: faker.helpers.rangeToNumber({ min: 1, max: 15 }),
 					completed_projects: faker.helpers.rangeToNumber({ min: 0, max: 50 }),
 				},
-				skills: selectedSkills, // Array of skill names for JSONB
+				skills: selectedSkills, // Becomes freelancer_skills rows below
 				skillIds: [], // Will be populated with actual skill IDs
 			});
 		} else {
@@ -193,188 +195,148 @@ export async function seedUsersWithProfiles(count = 100) {
 		return;
 	}
 
-	try {
-		// Start transaction
-		await dbClient.query('BEGIN');
-
-		// 1. Insert users first
-		const userColumns = [
-			'email',
-			'password',
-			'user_type',
-			'account_status',
-			'created_at',
-			'updated_at',
-			'average_rating',
-		];
-
-		const userValuePlaceholders = [];
-		const userValues = [];
-		users.forEach((user, idx) => {
-			const baseIdx = idx * userColumns.length;
-			userValuePlaceholders.push(
-				`(${userColumns
-					.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-					.join(', ')})`
-			);
-			userValues.push(
-				user.email,
-				user.password,
-				user.user_type,
-				user.account_status,
-				user.created_at,
-				user.updated_at,
-				user.average_rating
-			);
-		});
+	console.log('🔐 Hashing passwords...');
+	const passwordHashes = await Promise.all(
+		users.map((user) =>
+			hashPassword(user.password, { cost: SEED_HASH_COST, salt: user.salt })
+		)
+	);
 
-		const userQuery = `
-			INSERT INTO users (${userColumns.join(', ')})
-			VALUES ${userValuePlaceholders.join(',\n')}
-			RETURNING id, user_type
-		`;
-
-		const userResult = await dbClient.query(userQuery, userValues);
-		console.log(`Inserted ${users.length} users`);
-
-		// 2. Insert freelancer profiles
-		if (freelancerProfiles.length > 0) {
-			const freelancerColumns = [
-				'id',
-				'name',
-				'location',
-				'hourly_rate',
-				'is_available',
-				'portfolio',
-				'skills',
+	try {
+		await withTransaction(async (client) => {
+			// 1. Insert users first
+			const userColumns = [
+				'email',
+				'password',
+				'user_type',
+				'account_status',
+				'created_at',
+				'updated_at',
 			];
 
-			const freelancerValuePlaceholders = [];
-			const freelancerValues = [];
-
-			// Get user IDs for freelancers (first numFreelancers users)
-			const freelancerUserIds = userResult.rows
-				.filter((row) => row.user_type === 'freelancer')
-				.map((row) => row.id);
-
-			freelancerProfiles.forEach((profile, idx) => {
-				const baseIdx = idx * freelancerColumns.length;
-				freelancerValuePlaceholders.push(
-					`(${freelancerColumns
-						.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-						.join(', ')})`
+			const userRows = await insertBatched(
+				client,
+				'users',
+				userColumns,
+				users.map((user, idx) => [
+					user.email,
+					passwordHashes[idx],
+					user.user_type,
+					user.account_status,
+					user.created_at,
+					user.updated_at,
+				]),
+				{ batchSize, returning: 'id, user_type' }
+			);
+			console.log(`Inserted ${users.length} users`);
+
+			// 2. Insert freelancer profiles
+			if (freelancerProfiles.length > 0) {
+				const freelancerColumns = [
+					'id',
+					'name',
+					'location',
+					'hourly_rate',
+					'is_available',
+					'portfolio',
+				];
+
+				// Get user IDs for freelancers (first numFreelancers users)
+				const freelancerUserIds = userRows
+					.filter((row) => row.user_type === 'freelancer')
+					.map((row) => row.id);
+
+				await insertBatched(
+					client,
+					'freelancer_profiles',
+					freelancerColumns,
+					freelancerProfiles.map((profile, idx) => [
+						freelancerUserIds[idx],
+						profile.name,
+						profile.location,
+						profile.hourly_rate,
+						profile.is_available,
+						JSON.stringify(profile.portfolio),
+					]),
+					{ batchSize }
 				);
-				freelancerValues.push(
-					freelancerUserIds[idx],
-					profile.name,
-					profile.location,
-					profile.hourly_rate,
-					profile.is_available,
-					JSON.stringify(profile.portfolio),
-					JSON.stringify(profile.skills) // Store skill names in JSONB for fast lookup
+				console.log(
+					`Inserted ${freelancerProfiles.length} freelancer profiles`
 				);
-			});
 
-			const freelancerQuery = `
-				INSERT INTO freelancer_profiles (${freelancerColumns.join(', ')})
-				VALUES ${freelancerValuePlaceholders.join(',\n')}
-			`;
+				// 3. Insert freelancer_skills relationships. A trigger copies the
+				// names into freelancer_profiles.skills.
+				console.log('🔗 Creating freelancer-skill relationships...');
 
-			await dbClient.query(freelancerQuery, freelancerValues);
-			console.log(`Inserted ${freelancerProfiles.length} freelancer profiles`);
+				// Get skill IDs from the skills table
+				const skillResult = await client.query('SELECT id, name FROM skills');
+				const skillMap = new Map(
+					skillResult.rows.map((row) => [row.name, row.id])
+				);
 
-			// 3. Insert freelancer_skills relationships
-			console.log('🔗 Creating freelancer-skill relationships...');
+				const freelancerSkillRows = [];
+				freelancerProfiles.forEach((profile, profileIdx) => {
+					const freelancerId = freelancerUserIds[profileIdx];
 
-			// Get skill IDs from the skills table
-			const skillResult = await dbClient.query('SELECT id, name FROM skills');
-			const skillMap = new Map(
-				skillResult.rows.map((row) => [row.name, row.id])
-			);
-
-			const freelancerSkillColumns = ['freelancer_id', 'skill_id'];
-			const freelancerSkillValuePlaceholders = [];
-			const freelancerSkillValues = [];
-			let skillValueIndex = 1;
-
-			freelancerProfiles.forEach((profile, profileIdx) => {
-				const freelancerId = freelancerUserIds[profileIdx];
-
-				profile.skills.forEach((skillName) => {
-					const skillId = skillMap.get(skillName);
-					if (skillId) {
-						freelancerSkillValuePlaceholders.push(
-							`($${skillValueIndex}, $${skillValueIndex + 1})`
-						);
-						freelancerSkillValues.push(freelancerId, skillId);
-						skillValueIndex += 2;
-					}
+					profile.skills.forEach((skillName) => {
+						const skillId = skillMap.get(skillName);
+						if (skillId) {
+							freelancerSkillRows.push([freelancerId, skillId]);
+						}
+					});
 				});
-			});
 
-			if (freelancerSkillValuePlaceholders.length > 0) {
-				const freelancerSkillQuery = `
-					INSERT INTO freelancer_skills (${freelancerSkillColumns.join(', ')})
-					VALUES ${freelancerSkillValuePlaceholders.join(',\n')}
-					ON CONFLICT (freelancer_id, skill_id) DO NOTHING
-				`;
-
-				await dbClient.query(freelancerSkillQuery, freelancerSkillValues);
-				console.log(
-					`✅ Created ${freelancerSkillValuePlaceholders.length} freelancer-skill relationships`
-				);
+				if (freelancerSkillRows.length > 0) {
+					await insertBatched(
+						client,
+						'freelancer_skills',
+						['freelancer_id', 'skill_id'],
+						freelancerSkillRows,
+						{
+							batchSize,
+							onConflict: 'ON CONFLICT (freelancer_id, skill_id) DO NOTHING',
+						}
+					);
+					console.log(
+						`✅ Created ${freelancerSkillRows.length} freelancer-skill relationships`
+					);
+				}
 			}
-		}
-
-		// 4. Insert client profiles
-		if (clientProfiles.length > 0) {
-			const clientColumns = [
-				'id',
-				'company_name',
-				'description',
-				'location',
-				'contact_info',
-			];
-
-			const clientValuePlaceholders = [];
-			const clientValues = [];
-
-			// Get user IDs for clients (remaining users)
-			const clientUserIds = userResult.rows
-				.filter((row) => row.user_type === 'client')
-				.map((row) => row.id);
 
-			clientProfiles.forEach((profile, idx) => {
-				const baseIdx = idx * clientColumns.length;
-				clientValuePlaceholders.push(
-					`(${clientColumns
-						.map((_, colIdx) => `$${baseIdx + colIdx + 1}`)
-						.join(', ')})`
+			// 4. Insert client profiles
+			if (clientProfiles.length > 0) {
+				const clientColumns = [
+					'id',
+					'company_name',
+					'description',
+					'location',
+					'contact_info',
+				];
+
+				// Get user IDs for clients (remaining users)
+				const clientUserIds = userRows
+					.filter((row) => row.user_type === 'client')
+					.map((row) => row.id);
+
+				await insertBatched(
+					client,
+					'client_profiles',
+					clientColumns,
+					clientProfiles.map((profile, idx) => [
+						clientUserIds[idx],
+						profile.company_name,
+						profile.description,
+						profile.location,
+						JSON.stringify(profile.contact_info),
+					]),
+					{ batchSize }
 				);
-				clientValues.push(
-					clientUserIds[idx],
-					profile.company_name,
-					profile.description,
-					profile.location,
-					JSON.stringify(profile.contact_info)
-				);
-			});
-
-			const clientQuery = `
-				INSERT INTO client_profiles (${clientColumns.join(', ')})
-				VALUES ${clientValuePlaceholders.join(',\n')}
-			`;
-
-			await dbClient.query(clientQuery, clientValues);
-			console.log(`Inserted ${clientProfiles.length} client profiles`);
-		}
+				console.log(`Inserted ${clientProfiles.length} client profiles`);
+			}
 
-		// Commit transaction
-		await dbClient.query('COMMIT');
-		console.log('✅ Successfully seeded users with profiles and skills!');
+			console.log('✅ Successfully seeded users with profiles and skills!');
+		});
 	} catch (error) {
-		// Rollback on error
-		await dbClient.query('ROLLBACK');
 		console.error('❌ Error seeding users:', error);
 		throw error;
 	}
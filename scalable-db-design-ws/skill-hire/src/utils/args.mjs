@@ -0,0 +1,59 @@
+// Helpers for turning raw CLI flag values into validated options
+
+export function parseCount(name, value, fallback) {
+	if (value === undefined) {
+		return fallback;
+	}
+
+	const count = Number(value);
+	if (!Number.isInteger(count) || count < 0) {
+		throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+	}
+	return count;
+}
+
+export function parseList(name, value, allowed) {
+	if (value === undefined) {
+		return [...allowed];
+	}
+
+	const items = value
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+	const unknown = items.filter((item) => !allowed.includes(item));
+	if (unknown.length > 0) {
+		throw new Error(
+			`--${name} got unknown value(s): ${unknown.join(', ')}. ` +
+				`Expected one of: ${allowed.join(', ')}`
+		);
+	}
+	return items;
+}
+
+// Accepts anything Date understands, e.g. 2025-06-01 or 2025-06-01T12:00:00Z
+export function parseDate(name, value, fallback) {
+	if (value === undefined) {
+		return fallback;
+	}
+
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw new Error(`--${name} must be a date, got "${value}"`);
+	}
+	return date;
+}
+
+export function parseChoice(name, value, allowed, fallback) {
+	if (value === undefined) {
+		return fallback;
+	}
+
+	if (!allowed.includes(value)) {
+		throw new Error(
+			`--${name} must be one of: ${allowed.join(', ')}, got "${value}"`
+		);
+	}
+	return value;
+}
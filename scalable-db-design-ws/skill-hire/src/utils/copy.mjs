@@ -0,0 +1,52 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import copyStreams from 'pg-copy-streams';
+
+const COPY_CHUNK_SIZE = 64 * 1024;
+
+// COPY text format: tab-separated columns, \N for NULL, and backslash
+// escapes for the characters that would otherwise end a field or row
+function formatCopyValue(value) {
+	if (value === null || value === undefined) {
+		return '\\N';
+	}
+	const text = value instanceof Date ? value.toISOString() : String(value);
+	return text
+		.replace(/\\/g, '\\\\')
+		.replace(/\t/g, '\\t')
+		.replace(/\n/g, '\\n')
+		.replace(/\r/g, '\\r');
+}
+
+/**
+ * Stream `rows` (a sync or async iterable of arrays in `columns` order) into
+ * `table` with COPY FROM STDIN. Rows are pulled one at a time, so a lazy
+ * generator never has to materialise the whole table in memory.
+ * Resolves with the number of rows copied.
+ */
+export async function copyRows(client, table, columns, rows) {
+	let count = 0;
+
+	// Hand the socket ~64KB at a time rather than one write per row
+	async function* chunks() {
+		let buffer = '';
+		for await (const row of rows) {
+			count++;
+			buffer += `${row.map(formatCopyValue).join('\t')}\n`;
+			if (buffer.length >= COPY_CHUNK_SIZE) {
+				yield buffer;
+				buffer = '';
+			}
+		}
+		if (buffer) {
+			yield buffer;
+		}
+	}
+
+	const copyStream = client.query(
+		copyStreams.from(`COPY ${table} (${columns.join(', ')}) FROM STDIN`)
+	);
+	await pipeline(Readable.from(chunks()), copyStream);
+
+	return count;
+}
@@ -0,0 +1,61 @@
+// PostgreSQL caps a single statement at 65535 bind parameters
+const MAX_BIND_PARAMETERS = 65535;
+
+export const DEFAULT_BATCH_SIZE = 5000;
+
+/**
+ * Insert `rows` (arrays of values in `columns` order) as a series of
+ * multi-row INSERTs, each small enough to stay under the bind-parameter
+ * limit. Returns the RETURNING rows of every chunk, in insertion order.
+ *
+ * Options:
+ *   batchSize  - rows per INSERT, clamped to what the parameter limit allows
+ *   onConflict - appended as-is, e.g. 'ON CONFLICT (id) DO NOTHING'
+ *   returning  - appended as RETURNING <returning>, e.g. 'id, user_type'
+ */
+export async function insertBatched(
+	client,
+	table,
+	columns,
+	rows,
+	{ batchSize = DEFAULT_BATCH_SIZE, onConflict = '', returning = '' } = {}
+) {
+	const chunkSize = Math.max(
+		1,
+		Math.min(batchSize, Math.floor(MAX_BIND_PARAMETERS / columns.length))
+	);
+	const returned = [];
+
+	for (let start = 0; start < rows.length; start += chunkSize) {
+		const chunk = rows.slice(start, start + chunkSize);
+
+		const valuePlaceholders = [];
+		const values = [];
+		chunk.forEach((row, idx) => {
+			const baseIdx = idx * columns.length;
+			valuePlaceholders.push(
+				`(${columns.map((_, colIdx) => `$${baseIdx + colIdx + 1}`).join(', ')})`
+			);
+			values.push(...row);
+		});
+
+		const query = `
+			INSERT INTO ${table} (${columns.join(', ')})
+			VALUES ${valuePlaceholders.join(',\n')}
+			${onConflict}
+			${returning ? `RETURNING ${returning}` : ''}
+		`;
+
+		const result = await client.query(query, values);
+		if (returning) {
+			returned.push(...result.rows);
+		}
+
+		if (rows.length > chunkSize) {
+			const done = Math.min(start + chunkSize, rows.length);
+			console.log(`   ↳ ${table}: ${done}/${rows.length} rows`);
+		}
+	}
+
+	return returned;
+}
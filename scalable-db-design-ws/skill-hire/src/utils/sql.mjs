@@ -0,0 +1,149 @@
+// Splits SQL text into statements the way Postgres's lexer would, so POST
+// /query can insist on exactly one, and finds the keyword each starts with,
+// so it can insist on a query. They are the first checks, not the only
+// ones: the route also runs the statement as a prepared statement, which
+// Postgres refuses to hold more than one command, as a role that can only
+// read. Text this can't lex to the end (an unterminated string, quoted
+// identifier, comment or dollar quote) throws.
+//
+// practice/sql.js lexes Postgres the same way; keep the two in step.
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+// A dollar quote opener: $$ or $tag$
+const DOLLAR_QUOTE = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+function unterminated(what, start) {
+	return new SyntaxError(`Unterminated ${what} starting at offset ${start}`);
+}
+
+// Index just past the quote closing the one opened at `start`, where a
+// doubled quote stands for itself and, in E'' strings, a backslash escapes
+// the character after it
+function skipQuoted(sql, start, quote, backslashEscapes) {
+	let i = start + 1;
+	while (i < sql.length) {
+		if (backslashEscapes && sql[i] === '\\') {
+			i += 2;
+		} else if (sql[i] !== quote) {
+			i++;
+		} else if (sql[i + 1] === quote) {
+			i += 2;
+		} else {
+			return i + 1;
+		}
+	}
+	throw unterminated(quote === '"' ? 'quoted identifier' : 'string', start);
+}
+
+// Block comments nest in Postgres
+function skipBlockComment(sql, start) {
+	let depth = 0;
+	let i = start;
+	while (i < sql.length) {
+		if (sql[i] === '/' && sql[i + 1] === '*') {
+			depth++;
+			i += 2;
+		} else if (sql[i] === '*' && sql[i + 1] === '/') {
+			depth--;
+			i += 2;
+			if (depth === 0) {
+				return i;
+			}
+		} else {
+			i++;
+		}
+	}
+	throw unterminated('block comment', start);
+}
+
+// Index just past the end of whatever starts at `i` and may hide a
+// semicolon: a comment, quoted string or identifier or dollar-quoted string
+function skipToken(sql, i) {
+	const char = sql[i];
+	const afterIdentifier = IDENTIFIER_CHAR.test(sql[i - 1] ?? '');
+	if (char === '-' && sql[i + 1] === '-') {
+		const end = sql.indexOf('\n', i);
+		return end === -1 ? sql.length : end + 1;
+	}
+	if (char === '/' && sql[i + 1] === '*') {
+		return skipBlockComment(sql, i);
+	}
+	// E'...' (but not the tail of an identifier like name'...')
+	if (
+		(char === 'E' || char === 'e') &&
+		sql[i + 1] === "'" &&
+		!afterIdentifier
+	) {
+		return skipQuoted(sql, i + 1, "'", true);
+	}
+	if (char === "'" || char === '"') {
+		return skipQuoted(sql, i, char, false);
+	}
+	if (char === '$' && !afterIdentifier) {
+		const opener = DOLLAR_QUOTE.exec(sql.slice(i));
+		if (opener) {
+			const end = sql.indexOf(opener[0], i + opener[0].length);
+			if (end === -1) {
+				throw unterminated('dollar-quoted string', i);
+			}
+			return end + opener[0].length;
+		}
+	}
+	return null;
+}
+
+/**
+ * Split `sql` on the semicolons outside comments, quotes and dollar quotes.
+ * Returns the statements without their semicolons, leaving out any that are
+ * only whitespace and comments. Throws a SyntaxError for text that ends
+ * inside a string, quoted identifier, comment or dollar quote.
+ */
+export function splitStatements(sql) {
+	const statements = [];
+	let start = 0;
+	let hasCode = false;
+
+	for (let i = 0; i <= sql.length; ) {
+		if (i === sql.length || sql[i] === ';') {
+			if (hasCode) {
+				statements.push(sql.slice(start, i).trim());
+			}
+			start = i + 1;
+			hasCode = false;
+			i++;
+			continue;
+		}
+
+		const isComment =
+			(sql[i] === '-' && sql[i + 1] === '-') ||
+			(sql[i] === '/' && sql[i + 1] === '*');
+		if (!isComment && !/\s/.test(sql[i])) {
+			hasCode = true;
+		}
+		i = skipToken(sql, i) ?? i + 1;
+	}
+	return statements;
+}
+
+/**
+ * The keyword a statement starts with, upper-cased, past any whitespace,
+ * comments and opening parentheses: SELECT for "(SELECT 1) UNION (SELECT
+ * 2)". Null when it starts with anything else, such as a quoted name.
+ */
+export function leadingKeyword(sql) {
+	let i = 0;
+	while (i < sql.length) {
+		if (/[\s(]/.test(sql[i])) {
+			i++;
+		} else if (
+			(sql[i] === '-' && sql[i + 1] === '-') ||
+			(sql[i] === '/' && sql[i + 1] === '*')
+		) {
+			i = skipToken(sql, i);
+		} else {
+			break;
+		}
+	}
+	const word = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+	return word ? word[0].toUpperCase() : null;
+}
@@ -0,0 +1,55 @@
+// Collects how fast each table was loaded so a seed run can print INSERT and
+// COPY numbers side by side at the end
+
+const loads = [];
+
+/**
+ * Run `load`, which must resolve with the number of rows it wrote, and log
+ * its throughput under `table` / `method`.
+ */
+export async function timeLoad(table, method, load) {
+	const startedAt = process.hrtime.bigint();
+	const rows = await load();
+	const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+	const rowsPerSecond = seconds > 0 ? Math.round(rows / seconds) : rows;
+
+	loads.push({ table, method, rows, seconds, rowsPerSecond });
+	console.log(
+		`⏱️  ${table}: ${rows} rows via ${method} in ${seconds.toFixed(
+			2
+		)}s (${rowsPerSecond} rows/s)`
+	);
+	return rows;
+}
+
+export function printLoadSummary() {
+	if (loads.length === 0) return;
+
+	console.log('📈 Load throughput:');
+	console.table(
+		loads.map(({ table, method, rows, seconds, rowsPerSecond }) => ({
+			table,
+			method,
+			rows,
+			seconds: Number(seconds.toFixed(2)),
+			'rows/s': rowsPerSecond,
+		}))
+	);
+
+	// Compare against the INSERT path wherever both ran for the same table,
+	// falling back to the sample a COPY load inserts and rolls back
+	const tables = new Set(loads.map((load) => load.table));
+	for (const table of tables) {
+		const tableLoads = loads.filter((load) => load.table === table);
+		const insert =
+			tableLoads.find((load) => load.method === 'INSERT') ??
+			tableLoads.find((load) => load.method === 'INSERT (sample)');
+		const copy = tableLoads.find((load) => load.method === 'COPY');
+		if (insert && copy && insert.rowsPerSecond > 0) {
+			const speedup = copy.rowsPerSecond / insert.rowsPerSecond;
+			console.log(
+				`   ${table}: COPY is ${speedup.toFixed(1)}x ${insert.method}`
+			);
+		}
+	}
+}
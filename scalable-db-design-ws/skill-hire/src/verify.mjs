@@ -0,0 +1,308 @@
+import { withTransaction } from './db.mjs';
+
+// Invariants from docs/2. Diagram Docs.md that foreign keys alone don't
+// enforce. Each query returns one row per violation; `id` is the offending
+// row's id and the other columns show what's wrong.
+export const INVARIANTS = [
+	// Denormalized fields
+	{
+		name: 'average-rating',
+		table: 'users',
+		description:
+			'users.average_rating is the mean of the reviews received (0 without reviews)',
+		sql: `
+			SELECT u.id, u.average_rating, ROUND(AVG(r.rating), 2) AS expected
+			FROM users u
+			LEFT JOIN reviews r ON r.reviewee_id = u.id
+			GROUP BY u.id
+			HAVING u.average_rating IS DISTINCT FROM COALESCE(ROUND(AVG(r.rating), 2), 0)
+		`,
+	},
+	{
+		name: 'applications-count',
+		table: 'jobs',
+		description: 'jobs.applications_count equals the number of applications',
+		sql: `
+			SELECT j.id, j.applications_count, COUNT(a.id) AS expected
+			FROM jobs j
+			LEFT JOIN applications a ON a.job_id = j.id
+			GROUP BY j.id
+			HAVING j.applications_count IS DISTINCT FROM COUNT(a.id)
+		`,
+	},
+	{
+		name: 'category-name',
+		table: 'jobs',
+		description: "jobs.category_name equals the category's name",
+		sql: `
+			SELECT j.id, j.category_name, c.name AS expected
+			FROM jobs j
+			LEFT JOIN categories c ON c.id = j.category_id
+			WHERE j.category_name IS DISTINCT FROM c.name
+		`,
+	},
+	{
+		name: 'profile-skills',
+		table: 'freelancer_profiles',
+		description:
+			'freelancer_profiles.skills lists the same skills as freelancer_skills',
+		sql: `
+			SELECT fp.id, fp.skills, COALESCE(expected.skills, '[]') AS expected
+			FROM freelancer_profiles fp
+			LEFT JOIN LATERAL (
+				SELECT jsonb_agg(s.name ORDER BY s.name) AS skills
+				FROM freelancer_skills fs
+				JOIN skills s ON s.id = fs.skill_id
+				WHERE fs.freelancer_id = fp.id
+			) expected ON true
+			WHERE NOT (
+				COALESCE(fp.skills, '[]') @> COALESCE(expected.skills, '[]')
+				AND COALESCE(expected.skills, '[]') @> COALESCE(fp.skills, '[]')
+			)
+		`,
+	},
+
+	// Who can do what
+	{
+		name: 'profile-user-type',
+		table: 'users',
+		description:
+			'Freelancers have only a freelancer profile, clients only a client profile',
+		sql: `
+			SELECT u.id, u.user_type,
+				fp.id IS NOT NULL AS has_freelancer_profile,
+				cp.id IS NOT NULL AS has_client_profile
+			FROM users u
+			LEFT JOIN freelancer_profiles fp ON fp.id = u.id
+			LEFT JOIN client_profiles cp ON cp.id = u.id
+			WHERE (u.user_type = 'freelancer' AND cp.id IS NOT NULL)
+				OR (u.user_type = 'client' AND fp.id IS NOT NULL)
+		`,
+	},
+	{
+		name: 'job-owner-is-client',
+		table: 'jobs',
+		description: 'Jobs are posted by clients',
+		sql: `
+			SELECT j.id, j.client_id, u.user_type
+			FROM jobs j
+			JOIN users u ON u.id = j.client_id
+			WHERE u.user_type <> 'client'
+		`,
+	},
+	{
+		name: 'applicant-is-freelancer',
+		table: 'applications',
+		description: 'Applications come from freelancers',
+		sql: `
+			SELECT a.id, a.freelancer_id, u.user_type
+			FROM applications a
+			JOIN users u ON u.id = a.freelancer_id
+			WHERE u.user_type <> 'freelancer'
+		`,
+	},
+	{
+		name: 'single-application-per-job',
+		table: 'applications',
+		description: 'A freelancer applies to a job at most once',
+		sql: `
+			SELECT a.id, a.job_id, a.freelancer_id
+			FROM applications a
+			WHERE EXISTS (
+				SELECT 1 FROM applications other
+				WHERE other.job_id = a.job_id
+					AND other.freelancer_id = a.freelancer_id
+					AND other.id <> a.id
+			)
+		`,
+	},
+	{
+		name: 'project-freelancer-type',
+		table: 'projects',
+		description: 'Projects are staffed by freelancers',
+		sql: `
+			SELECT p.id, p.freelancer_id, u.user_type
+			FROM projects p
+			JOIN users u ON u.id = p.freelancer_id
+			WHERE u.user_type <> 'freelancer'
+		`,
+	},
+
+	// Hiring
+	{
+		name: 'single-accepted-application',
+		table: 'jobs',
+		description: 'A job has at most one accepted application',
+		sql: `
+			SELECT a.job_id AS id, array_agg(a.id ORDER BY a.id) AS accepted_applications
+			FROM applications a
+			WHERE a.status = 'accepted'
+			GROUP BY a.job_id
+			HAVING COUNT(*) > 1
+		`,
+	},
+	{
+		name: 'project-freelancer-accepted',
+		table: 'projects',
+		description:
+			"A project's freelancer is the one whose application to the job was accepted",
+		sql: `
+			SELECT p.id, p.job_id, p.freelancer_id,
+				(
+					SELECT array_agg(a.freelancer_id ORDER BY a.id)
+					FROM applications a
+					WHERE a.job_id = p.job_id AND a.status = 'accepted'
+				) AS accepted_freelancers
+			FROM projects p
+			WHERE NOT EXISTS (
+				SELECT 1 FROM applications a
+				WHERE a.job_id = p.job_id
+					AND a.freelancer_id = p.freelancer_id
+					AND a.status = 'accepted'
+			)
+		`,
+	},
+	{
+		name: 'milestones-sum',
+		table: 'projects',
+		description:
+			"A project's milestone amounts add up to projects.total_amount",
+		sql: `
+			SELECT p.id, p.total_amount, SUM(m.amount) AS milestones_total
+			FROM projects p
+			JOIN milestones m ON m.project_id = p.id
+			GROUP BY p.id
+			HAVING SUM(m.amount) <> p.total_amount
+		`,
+	},
+
+	// Reviews
+	{
+		name: 'review-participants',
+		table: 'reviews',
+		description:
+			"Reviews are between a project's client and freelancer, one reviewing the other",
+		sql: `
+			SELECT r.id, r.project_id, r.reviewer_id, r.reviewee_id,
+				j.client_id, p.freelancer_id
+			FROM reviews r
+			JOIN projects p ON p.id = r.project_id
+			JOIN jobs j ON j.id = p.job_id
+			WHERE NOT (
+				(r.reviewer_id = j.client_id AND r.reviewee_id = p.freelancer_id)
+				OR (r.reviewer_id = p.freelancer_id AND r.reviewee_id = j.client_id)
+			)
+		`,
+	},
+	{
+		name: 'review-once-per-project',
+		table: 'reviews',
+		description: 'Each side reviews a project at most once',
+		sql: `
+			SELECT r.id, r.project_id, r.reviewer_id
+			FROM reviews r
+			WHERE EXISTS (
+				SELECT 1 FROM reviews other
+				WHERE other.project_id = r.project_id
+					AND other.reviewer_id = r.reviewer_id
+					AND other.id <> r.id
+			)
+		`,
+	},
+	{
+		name: 'review-after-project',
+		table: 'reviews',
+		description: 'A review is written after the project has ended',
+		sql: `
+			SELECT r.id, r.project_id, r.created_at, p.end_date
+			FROM reviews r
+			JOIN projects p ON p.id = r.project_id
+			WHERE r.created_at < p.end_date
+		`,
+	},
+	{
+		name: 'review-completed-project',
+		table: 'reviews',
+		description: 'Only completed projects are reviewed, with a 1-5 rating',
+		sql: `
+			SELECT r.id, r.project_id, p.status, r.rating
+			FROM reviews r
+			JOIN projects p ON p.id = r.project_id
+			WHERE p.status <> 'completed' OR r.rating NOT BETWEEN 1 AND 5
+		`,
+	},
+
+	// Notifications
+	{
+		name: 'notification-after-event',
+		table: 'notifications',
+		description:
+			'A notification is created at or after the application, decision, payment or review it reports',
+		sql: `
+			SELECT n.id, n.type, n.created_at, event.occurred_at
+			FROM notifications n
+			JOIN LATERAL (
+				SELECT a.applied_at AS occurred_at
+				FROM applications a
+				WHERE n.type = 'application_received'
+					AND a.id = (n.payload->>'application_id')::int
+				UNION ALL
+				SELECT COALESCE(p.created_at, j.updated_at)
+				FROM applications a
+				JOIN jobs j ON j.id = a.job_id
+				LEFT JOIN projects p ON p.job_id = j.id
+				WHERE n.type IN ('application_accepted', 'application_rejected')
+					AND a.id = (n.payload->>'application_id')::int
+				UNION ALL
+				SELECT m.updated_at
+				FROM milestones m
+				WHERE n.type = 'payment_received'
+					AND m.id = (n.payload->>'milestone_id')::int
+				UNION ALL
+				SELECT r.created_at
+				FROM reviews r
+				WHERE n.type = 'review_received'
+					AND r.id = (n.payload->>'review_id')::int
+			) event ON true
+			WHERE n.created_at < event.occurred_at
+		`,
+	},
+
+	// Messages
+	{
+		name: 'message-participants',
+		table: 'messages',
+		description: 'Messages go between two different users',
+		sql: `
+			SELECT id, sender_id, receiver_id
+			FROM messages
+			WHERE sender_id = receiver_id
+		`,
+	},
+];
+
+export const INVARIANT_NAMES = INVARIANTS.map((invariant) => invariant.name);
+
+/**
+ * Run the invariant checks (all, or those named in `only`) and return each
+ * with its violating rows. The checks run in one read-only REPEATABLE READ
+ * transaction, so they all see the same snapshot.
+ */
+export async function checkInvariants({ only = INVARIANT_NAMES } = {}) {
+	return withTransaction(async (client) => {
+		await client.query(
+			'SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY'
+		);
+
+		const results = [];
+		for (const invariant of INVARIANTS) {
+			if (!only.includes(invariant.name)) continue;
+
+			const result = await client.query(
+				`SELECT * FROM (${invariant.sql}) violations ORDER BY id`
+			);
+			results.push({ ...invariant, violations: result.rows });
+		}
+		return results;
+	});
+}
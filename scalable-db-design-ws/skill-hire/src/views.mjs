@@ -0,0 +1,124 @@
+import { dbClient } from './db.mjs';
+
+const TOP_FREELANCERS = 'top_freelancers';
+
+// The refresh in flight, shared by every caller so an on-demand refresh
+// during a scheduled one waits for it instead of queueing a second
+let inFlight = null;
+
+/**
+ * Refresh top_freelancers and record when, how long it took and how many
+ * rows it has in materialized_view_refreshes. CONCURRENTLY keeps the view
+ * readable during the refresh; it can't run inside a transaction block or
+ * on a view that was never populated, which falls back to a plain refresh.
+ * Returns null when the views migration hasn't been applied. Without
+ * materialized_view_refreshes it throws, unless `requireLog` is false, in
+ * which case it refreshes without recording and returns null.
+ */
+export function refreshTopFreelancers({
+	concurrently = true,
+	requireLog = true,
+} = {}) {
+	inFlight ??= runRefresh(concurrently, requireLog).finally(() => {
+		inFlight = null;
+	});
+	return inFlight;
+}
+
+async function runRefresh(concurrently, requireLog) {
+	const view = await dbClient.query(
+		`
+		SELECT ispopulated,
+			to_regclass('materialized_view_refreshes') IS NOT NULL AS has_log
+		FROM pg_matviews
+		WHERE matviewname = $1
+	`,
+		[TOP_FREELANCERS]
+	);
+	if (view.rows.length === 0) {
+		console.log(`⚠️  ${TOP_FREELANCERS} does not exist, skipping refresh`);
+		return null;
+	}
+	const { ispopulated, has_log: hasLog } = view.rows[0];
+	if (!hasLog && requireLog) {
+		throw new Error(
+			'materialized_view_refreshes is missing, run "skill-hire migrate up"'
+		);
+	}
+
+	// The unique index CONCURRENTLY needs comes with the log's migration
+	const mode = concurrently && ispopulated && hasLog ? 'CONCURRENTLY ' : '';
+	const started = performance.now();
+	await dbClient.query(`REFRESH MATERIALIZED VIEW ${mode}${TOP_FREELANCERS}`);
+	const durationMs = Math.round(performance.now() - started);
+	if (!hasLog) {
+		console.log(
+			`✅ Refreshed ${TOP_FREELANCERS} in ${durationMs} ms ` +
+				'(not recorded: materialized_view_refreshes is missing)'
+		);
+		return null;
+	}
+
+	const result = await dbClient.query(
+		`
+		INSERT INTO materialized_view_refreshes
+			(view_name, refreshed_at, duration_ms, row_count)
+		SELECT $1, NOW(), $2, COUNT(*) FROM ${TOP_FREELANCERS}
+		ON CONFLICT (view_name) DO UPDATE
+		SET refreshed_at = EXCLUDED.refreshed_at,
+			duration_ms = EXCLUDED.duration_ms,
+			row_count = EXCLUDED.row_count
+		RETURNING refreshed_at, duration_ms, row_count
+	`,
+		[TOP_FREELANCERS, durationMs]
+	);
+	const refresh = result.rows[0];
+	console.log(
+		`✅ Refreshed ${TOP_FREELANCERS}${mode ? ' concurrently' : ''}: ` +
+			`${refresh.row_count} rows in ${refresh.duration_ms} ms`
+	);
+	return refresh;
+}
+
+// The last recorded refresh, or null if there hasn't been one
+export async function lastTopFreelancersRefresh(client = dbClient) {
+	const result = await client.query(
+		`
+		SELECT refreshed_at, duration_ms, row_count
+		FROM materialized_view_refreshes
+		WHERE view_name = $1
+	`,
+		[TOP_FREELANCERS]
+	);
+	return result.rows[0] ?? null;
+}
+
+/**
+ * Refresh top_freelancers every `intervalMs`, starting right away. The next
+ * refresh is timed from the end of the previous one, so slow refreshes never
+ * overlap, and a failed refresh is logged and retried on the next tick.
+ * Returns a function that stops the schedule and resolves once any refresh
+ * still running has finished.
+ */
+export function scheduleTopFreelancersRefresh(intervalMs) {
+	let timer = null;
+	let stopped = false;
+
+	const tick = async () => {
+		try {
+			await refreshTopFreelancers();
+		} catch (error) {
+			console.error(`❌ Refreshing ${TOP_FREELANCERS} failed:`, error.message);
+		}
+		if (!stopped) {
+			timer = setTimeout(tick, intervalMs);
+		}
+	};
+	tick();
+
+	return async () => {
+		stopped = true;
+		clearTimeout(timer);
+		await inFlight;
+	};
+}
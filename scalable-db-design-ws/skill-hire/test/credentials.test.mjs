@@ -0,0 +1,171 @@
+// register() and login() against a migrated in-memory PGlite database.
+// Hashing at DEFAULT_COST takes a few hundred milliseconds, so this file is
+// slower than its size suggests.
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+process.env.DATABASE_URL = 'pglite:memory';
+const { dbClient } = await import('../src/db.mjs');
+const { migrateUp } = await import('../src/migrate.mjs');
+const { DEFAULT_COST, hashPassword, login, needsRehash, register } =
+	await import('../src/credentials.mjs');
+
+const PASSWORD = 'correct horse battery';
+// As cheap as the seeded users' hashes (SEED_HASH_COST in seeds/users.mjs)
+const WEAK_COST = { N: 2 ** 10, r: 8, p: 1 };
+
+before(async () => {
+	await migrateUp();
+});
+
+after(async () => {
+	await dbClient.end();
+});
+
+function rejectsWith(promise, reason) {
+	return assert.rejects(promise, { name: 'CredentialsError', reason });
+}
+
+async function insertUser(email, password, { cost, status = 'active' }) {
+	await dbClient.query(
+		`
+		INSERT INTO users (email, password, user_type, account_status)
+		VALUES ($1, $2, 'client', $3)
+	`,
+		[email, await hashPassword(password, { cost }), status]
+	);
+}
+
+async function storedHash(email) {
+	const result = await dbClient.query(
+		'SELECT password FROM users WHERE email = $1',
+		[email]
+	);
+	return result.rows[0].password;
+}
+
+async function loginTime(credentials) {
+	const started = performance.now();
+	await login(credentials).catch(() => {});
+	return performance.now() - started;
+}
+
+describe('register', () => {
+	it('stores a DEFAULT_COST hash, never the password', async () => {
+		const user = await register({
+			email: ' Round.Trip@Example.com ',
+			password: PASSWORD,
+			userType: 'client',
+		});
+		assert.equal(user.email, 'round.trip@example.com');
+		assert.equal(user.user_type, 'client');
+		assert.equal(user.password, undefined);
+
+		const stored = await storedHash('round.trip@example.com');
+		assert.notEqual(stored, PASSWORD);
+		assert.ok(stored.startsWith(`scrypt$${DEFAULT_COST.N}$`));
+		assert.equal(needsRehash(stored), false);
+	});
+
+	it('rejects a taken email, whatever its case', async () => {
+		await rejectsWith(
+			register({ email: 'ROUND.TRIP@example.com', password: PASSWORD }),
+			'email_taken'
+		);
+	});
+
+	it('rejects bad input before hashing', async () => {
+		await rejectsWith(
+			register({ email: 'not an email', password: PASSWORD }),
+			'invalid_email'
+		);
+		await rejectsWith(
+			register({ email: 'short@example.com', password: 'short' }),
+			'weak_password'
+		);
+		await rejectsWith(
+			register({
+				email: 'admin@example.com',
+				password: PASSWORD,
+				userType: 'admin',
+			}),
+			'invalid_user_type'
+		);
+	});
+});
+
+describe('login', () => {
+	it('returns the account for the right password', async () => {
+		const account = await login({
+			email: 'round.trip@example.com',
+			password: PASSWORD,
+		});
+		assert.equal(account.email, 'round.trip@example.com');
+		assert.equal(account.account_status, 'active');
+		assert.equal(account.password, undefined);
+	});
+
+	it('gives a wrong password and an unknown email the same answer', async () => {
+		await rejectsWith(
+			login({ email: 'round.trip@example.com', password: 'wrong password' }),
+			'invalid_credentials'
+		);
+		await rejectsWith(
+			login({ email: 'nobody@example.com', password: PASSWORD }),
+			'invalid_credentials'
+		);
+	});
+
+	it('reports a suspended account only with the right password', async () => {
+		await insertUser('suspended@example.com', PASSWORD, {
+			cost: WEAK_COST,
+			status: 'suspended',
+		});
+		await rejectsWith(
+			login({ email: 'suspended@example.com', password: 'wrong password' }),
+			'invalid_credentials'
+		);
+		await rejectsWith(
+			login({ email: 'suspended@example.com', password: PASSWORD }),
+			'suspended'
+		);
+	});
+
+	it('upgrades a weak hash on a successful login', async () => {
+		await insertUser('weak@example.com', PASSWORD, { cost: WEAK_COST });
+		assert.equal(needsRehash(await storedHash('weak@example.com')), true);
+
+		await login({ email: 'weak@example.com', password: PASSWORD });
+		const stored = await storedHash('weak@example.com');
+		assert.ok(stored.startsWith(`scrypt$${DEFAULT_COST.N}$`));
+		assert.equal(needsRehash(stored), false);
+		await login({ email: 'weak@example.com', password: PASSWORD });
+	});
+
+	it('takes as long for a weak hash as for an unknown email', async () => {
+		await insertUser('seeded@example.com', PASSWORD, { cost: WEAK_COST });
+		// The fastest of a few tries, to keep scheduling noise out
+		const fastest = async (credentials) => {
+			const times = [];
+			for (let i = 0; i < 3; i++) {
+				times.push(await loginTime(credentials));
+			}
+			return Math.min(...times);
+		};
+		const unknown = await fastest({
+			email: 'nobody@example.com',
+			password: PASSWORD,
+		});
+		const seeded = await fastest({
+			email: 'seeded@example.com',
+			password: 'wrong password',
+		});
+		// Without the padding the seeded user answers ~100 times faster
+		assert.ok(
+			seeded > unknown / 2,
+			`seeded user ${seeded.toFixed(0)}ms, unknown email ${unknown.toFixed(
+				0
+			)}ms`
+		);
+	});
+});
@@ -0,0 +1,497 @@
+// Checks the triggers in queries/7-denormalized-triggers.sql against
+// concurrent writers. Runs against TEST_DATABASE_URL, which must be
+// migrated, or without it on a freshly migrated in-memory PGlite database;
+// every row it creates is removed afterwards. Never DATABASE_URL (or .env):
+// that is the database you work with, and the tests write to it.
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || 'pglite:memory';
+const { dbClient, isEmbedded, withTransaction } = await import('../src/db.mjs');
+
+// Skip reason for tests of concurrent writes. PGlite has a single session,
+// so its transactions take turns: one holding two open at once would wait
+// for itself forever, and the rest would pass without any race to survive.
+// See README.md for running them against a server.
+const SINGLE_SESSION =
+	'needs concurrent sessions: set TEST_DATABASE_URL to a migrated PostgreSQL server to run it';
+
+// Ids for the categories and skills made here; both tables take explicit ids
+const FIXTURE_ID_BASE = 900000 + (process.pid % 10000) * 10;
+
+// Long enough for the other transaction to reach the lock and block on it
+const BLOCK_MS = 200;
+
+const created = { users: [], categories: [], skills: [] };
+
+async function one(sql, params) {
+	const result = await dbClient.query(sql, params);
+	return result.rows[0];
+}
+
+async function createUser(userType) {
+	const index = created.users.length;
+	const user = await one(
+		`
+		INSERT INTO users (email, password, user_type)
+		VALUES ($1, 'x', $2)
+		RETURNING id
+	`,
+		[`trigger-test-${process.pid}-${index}@example.com`, userType]
+	);
+	created.users.push(user.id);
+	return user.id;
+}
+
+async function createFreelancer() {
+	const id = await createUser('freelancer');
+	await dbClient.query(
+		`INSERT INTO freelancer_profiles (id, name, location) VALUES ($1, 'Test', 'Nowhere')`,
+		[id]
+	);
+	return id;
+}
+
+async function createCategory(name) {
+	const id = FIXTURE_ID_BASE + created.categories.length;
+	await dbClient.query('INSERT INTO categories (id, name) VALUES ($1, $2)', [
+		id,
+		name,
+	]);
+	created.categories.push(id);
+	return id;
+}
+
+async function createSkill(name) {
+	const id = FIXTURE_ID_BASE + created.skills.length;
+	await dbClient.query('INSERT INTO skills (id, name) VALUES ($1, $2)', [
+		id,
+		name,
+	]);
+	created.skills.push(id);
+	return id;
+}
+
+async function createJob(clientId, categoryId) {
+	const job = await one(
+		`
+		INSERT INTO jobs (client_id, title, category_id)
+		VALUES ($1, 'Trigger test job', $2)
+		RETURNING id
+	`,
+		[clientId, categoryId]
+	);
+	return job.id;
+}
+
+async function createProject(clientId, freelancerId) {
+	const jobId = await createJob(clientId, null);
+	const project = await one(
+		`
+		INSERT INTO projects (job_id, freelancer_id, status)
+		VALUES ($1, $2, 'completed')
+		RETURNING id
+	`,
+		[jobId, freelancerId]
+	);
+	return project.id;
+}
+
+// A connection with an open transaction, for interleaving two of them by hand
+async function begin() {
+	const client = await dbClient.connect();
+	await client.query('BEGIN');
+	return {
+		query: (sql, params) => client.query(sql, params),
+		async commit() {
+			try {
+				await client.query('COMMIT');
+			} finally {
+				client.release();
+			}
+		},
+	};
+}
+
+// Run `writes` in separate transactions at the same time. Each one holds its
+// locks a little while after writing, so the others queue up behind it.
+function concurrently(writes) {
+	return Promise.all(
+		writes.map((write) =>
+			withTransaction(async (client) => {
+				await write(client);
+				await client.query('SELECT pg_sleep(0.01)');
+			})
+		)
+	);
+}
+
+async function expectedRating(userId) {
+	const row = await one(
+		`
+		SELECT u.average_rating,
+			COALESCE(ROUND(AVG(r.rating), 2), 0)::numeric(3, 2) AS expected
+		FROM users u
+		LEFT JOIN reviews r ON r.reviewee_id = u.id
+		WHERE u.id = $1
+		GROUP BY u.id
+	`,
+		[userId]
+	);
+	return row;
+}
+
+async function profileSkills(freelancerId) {
+	const row = await one(
+		`
+		SELECT fp.skills,
+			COALESCE(
+				(
+					SELECT jsonb_agg(s.name ORDER BY s.name)
+					FROM freelancer_skills fs
+					JOIN skills s ON s.id = fs.skill_id
+					WHERE fs.freelancer_id = fp.id
+				),
+				'[]'
+			) AS expected
+		FROM freelancer_profiles fp
+		WHERE fp.id = $1
+	`,
+		[freelancerId]
+	);
+	return row;
+}
+
+describe('denormalized field triggers', () => {
+	before(async () => {
+		if (isEmbedded) {
+			console.warn(
+				'⚠️  TEST_DATABASE_URL is not set, so the concurrent-write tests are skipped; see README.md'
+			);
+			const { migrateUp } = await import('../src/migrate.mjs');
+			await migrateUp();
+		}
+	});
+
+	after(async () => {
+		// Cascades to profiles, jobs, projects, reviews and freelancer_skills
+		await dbClient.query('DELETE FROM users WHERE id = ANY($1::int[])', [
+			created.users,
+		]);
+		await dbClient.query('DELETE FROM categories WHERE id = ANY($1::int[])', [
+			created.categories,
+		]);
+		await dbClient.query('DELETE FROM skills WHERE id = ANY($1::int[])', [
+			created.skills,
+		]);
+		await dbClient.end();
+	});
+
+	describe('users.average_rating', () => {
+		it('counts a review committed while another one was waiting', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const clientId = await createUser('client');
+			const freelancerId = await createFreelancer();
+			const projectId = await createProject(clientId, freelancerId);
+			const insertReview = `
+				INSERT INTO reviews (project_id, reviewer_id, reviewee_id, rating)
+				VALUES ($1, $2, $3, $4)
+			`;
+
+			const first = await begin();
+			await first.query(insertReview, [projectId, clientId, freelancerId, 5]);
+			const second = await begin();
+			const blocked = second.query(insertReview, [
+				projectId,
+				clientId,
+				freelancerId,
+				2,
+			]);
+			await sleep(BLOCK_MS);
+			await first.commit();
+			await blocked;
+			await second.commit();
+
+			const { average_rating } = await expectedRating(freelancerId);
+			assert.equal(average_rating, '3.50');
+		});
+
+		it('stays equal to the mean through concurrent inserts, updates and deletes', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const clientId = await createUser('client');
+			const freelancerId = await createFreelancer();
+			const projectId = await createProject(clientId, freelancerId);
+
+			await concurrently(
+				[1, 2, 3, 4, 5, 4, 3, 5].map(
+					(rating) => (client) =>
+						client.query(
+							`
+							INSERT INTO reviews (project_id, reviewer_id, reviewee_id, rating)
+							VALUES ($1, $2, $3, $4)
+						`,
+							[projectId, clientId, freelancerId, rating]
+						)
+				)
+			);
+			let row = await expectedRating(freelancerId);
+			assert.equal(row.average_rating, row.expected);
+			assert.equal(row.expected, '3.38');
+
+			const reviews = await dbClient.query(
+				'SELECT id FROM reviews WHERE reviewee_id = $1 ORDER BY id',
+				[freelancerId]
+			);
+			const ids = reviews.rows.map((review) => review.id);
+			await concurrently([
+				...ids
+					.slice(0, 3)
+					.map(
+						(id) => (client) =>
+							client.query('DELETE FROM reviews WHERE id = $1', [id])
+					),
+				...ids
+					.slice(3)
+					.map(
+						(id) => (client) =>
+							client.query('UPDATE reviews SET rating = 1 WHERE id = $1', [id])
+					),
+			]);
+			row = await expectedRating(freelancerId);
+			assert.equal(row.average_rating, '1.00');
+
+			await dbClient.query('DELETE FROM reviews WHERE reviewee_id = $1', [
+				freelancerId,
+			]);
+			row = await expectedRating(freelancerId);
+			assert.equal(row.average_rating, '0.00');
+		});
+
+		it('moves a review between users', async () => {
+			const clientId = await createUser('client');
+			const firstId = await createFreelancer();
+			const secondId = await createFreelancer();
+			const projectId = await createProject(clientId, firstId);
+			const review = await one(
+				`
+				INSERT INTO reviews (project_id, reviewer_id, reviewee_id, rating)
+				VALUES ($1, $2, $3, 4)
+				RETURNING id
+			`,
+				[projectId, clientId, firstId]
+			);
+
+			await dbClient.query(
+				'UPDATE reviews SET reviewee_id = $1 WHERE id = $2',
+				[secondId, review.id]
+			);
+
+			assert.equal((await expectedRating(firstId)).average_rating, '0.00');
+			assert.equal((await expectedRating(secondId)).average_rating, '4.00');
+		});
+	});
+
+	describe('jobs.category_name', () => {
+		it('copies the name on insert and on a category change', async () => {
+			const clientId = await createUser('client');
+			const designId = await createCategory('Design');
+			const writingId = await createCategory('Writing');
+			const jobId = await createJob(clientId, designId);
+
+			const categoryName = async () =>
+				(await one('SELECT category_name FROM jobs WHERE id = $1', [jobId]))
+					.category_name;
+			assert.equal(await categoryName(), 'Design');
+
+			await dbClient.query('UPDATE jobs SET category_id = $1 WHERE id = $2', [
+				writingId,
+				jobId,
+			]);
+			assert.equal(await categoryName(), 'Writing');
+
+			// Direct writes can't make it drift
+			await dbClient.query(
+				`UPDATE jobs SET category_name = 'Something else' WHERE id = $1`,
+				[jobId]
+			);
+			assert.equal(await categoryName(), 'Writing');
+
+			await dbClient.query('DELETE FROM categories WHERE id = $1', [writingId]);
+			assert.equal(await categoryName(), null);
+		});
+
+		it('gives a job inserted during a rename the new name', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const clientId = await createUser('client');
+			const categoryId = await createCategory('Old name');
+
+			const rename = await begin();
+			await rename.query(
+				`UPDATE categories SET name = 'New name' WHERE id = $1`,
+				[categoryId]
+			);
+			const blocked = createJob(clientId, categoryId);
+			await sleep(BLOCK_MS);
+			await rename.commit();
+			const jobId = await blocked;
+
+			const job = await one('SELECT category_name FROM jobs WHERE id = $1', [
+				jobId,
+			]);
+			assert.equal(job.category_name, 'New name');
+		});
+
+		it('renames jobs inserted while the rename was waiting', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const clientId = await createUser('client');
+			const categoryId = await createCategory('Before');
+
+			const insert = await begin();
+			await insert.query(
+				`INSERT INTO jobs (client_id, title, category_id) VALUES ($1, 'Job', $2)`,
+				[clientId, categoryId]
+			);
+			const blocked = dbClient.query(
+				`UPDATE categories SET name = 'After' WHERE id = $1`,
+				[categoryId]
+			);
+			await sleep(BLOCK_MS);
+			await insert.commit();
+			await blocked;
+
+			const stale = await one(
+				`
+				SELECT COUNT(*)::int AS count FROM jobs
+				WHERE category_id = $1 AND category_name IS DISTINCT FROM 'After'
+			`,
+				[categoryId]
+			);
+			assert.equal(stale.count, 0);
+		});
+
+		it('stays in sync through concurrent inserts and renames', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const clientId = await createUser('client');
+			const categoryId = await createCategory('Name 0');
+
+			await concurrently(
+				Array.from({ length: 8 }, (_, i) =>
+					i % 2 === 0
+						? (client) =>
+								client.query(
+									`INSERT INTO jobs (client_id, title, category_id) VALUES ($1, 'Job', $2)`,
+									[clientId, categoryId]
+								)
+						: (client) =>
+								client.query('UPDATE categories SET name = $1 WHERE id = $2', [
+									`Name ${i}`,
+									categoryId,
+								])
+				)
+			);
+
+			const result = await dbClient.query(
+				`
+				SELECT j.category_name, c.name
+				FROM jobs j
+				JOIN categories c ON c.id = j.category_id
+				WHERE j.category_id = $1
+			`,
+				[categoryId]
+			);
+			assert.equal(result.rows.length, 4);
+			for (const row of result.rows) {
+				assert.equal(row.category_name, row.name);
+			}
+		});
+	});
+
+	describe('freelancer_profiles.skills', () => {
+		it('keeps every skill added by concurrent transactions', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const freelancerId = await createFreelancer();
+			const skillIds = [];
+			for (const name of ['Skill A', 'Skill B', 'Skill C', 'Skill D']) {
+				skillIds.push(await createSkill(name));
+			}
+
+			const first = await begin();
+			await first.query(
+				'INSERT INTO freelancer_skills (freelancer_id, skill_id) VALUES ($1, $2)',
+				[freelancerId, skillIds[0]]
+			);
+			const second = await begin();
+			const blocked = second.query(
+				'INSERT INTO freelancer_skills (freelancer_id, skill_id) VALUES ($1, $2)',
+				[freelancerId, skillIds[1]]
+			);
+			await sleep(BLOCK_MS);
+			await first.commit();
+			await blocked;
+			await second.commit();
+
+			let row = await profileSkills(freelancerId);
+			assert.deepEqual(row.skills, ['Skill A', 'Skill B']);
+
+			await concurrently([
+				(client) =>
+					client.query(
+						'INSERT INTO freelancer_skills (freelancer_id, skill_id) VALUES ($1, $2)',
+						[freelancerId, skillIds[2]]
+					),
+				(client) =>
+					client.query(
+						'INSERT INTO freelancer_skills (freelancer_id, skill_id) VALUES ($1, $2)',
+						[freelancerId, skillIds[3]]
+					),
+				(client) =>
+					client.query(
+						'DELETE FROM freelancer_skills WHERE freelancer_id = $1 AND skill_id = $2',
+						[freelancerId, skillIds[0]]
+					),
+			]);
+			row = await profileSkills(freelancerId);
+			assert.deepEqual(row.skills, row.expected);
+			assert.deepEqual(row.skills, ['Skill B', 'Skill C', 'Skill D']);
+		});
+
+		it('starts a new profile with the skills already recorded', async () => {
+			const freelancerId = await createUser('freelancer');
+			const skillId = await createSkill('Early skill');
+			await dbClient.query(
+				'INSERT INTO freelancer_skills (freelancer_id, skill_id) VALUES ($1, $2)',
+				[freelancerId, skillId]
+			);
+			await dbClient.query(
+				`INSERT INTO freelancer_profiles (id, name, location, skills) VALUES ($1, 'Test', 'Nowhere', '["stale"]')`,
+				[freelancerId]
+			);
+
+			const row = await profileSkills(freelancerId);
+			assert.deepEqual(row.skills, ['Early skill']);
+		});
+
+		it('follows a skill rename racing with a new freelancer_skills row', async (t) => {
+			if (isEmbedded) return t.skip(SINGLE_SESSION);
+			const freelancerId = await createFreelancer();
+			const skillId = await createSkill('Before rename');
+
+			const rename = await begin();
+			await rename.query(
+				`UPDATE skills SET name = 'After rename' WHERE id = $1`,
+				[skillId]
+			);
+			const blocked = dbClient.query(
+				'INSERT INTO freelancer_skills (freelancer_id, skill_id) VALUES ($1, $2)',
+				[freelancerId, skillId]
+			);
+			await sleep(BLOCK_MS);
+			await rename.commit();
+			await blocked;
+
+			const row = await profileSkills(freelancerId);
+			assert.deepEqual(row.skills, ['After rename']);
+		});
+	});
+});
@@ -0,0 +1,46 @@
+// The sampling helpers the seeders spread rows out with
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { faker } from '@faker-js/faker';
+import {
+	DISTRIBUTION_PROFILES,
+	sampleDistinct,
+} from '../src/seeds/distributions.mjs';
+
+describe('sampleDistinct', () => {
+	const items = Array.from({ length: 200 }, (_, index) => index);
+
+	it('returns exactly `count` different items under every profile', () => {
+		faker.seed(42);
+		for (const [name, distribution] of Object.entries(DISTRIBUTION_PROFILES)) {
+			// Nearly all of them: a skewed picker drawing with replacement
+			// would keep hitting the popular few and fall short
+			const sample = sampleDistinct(items, 190, distribution);
+			assert.equal(sample.length, 190, name);
+			assert.equal(new Set(sample).size, 190, name);
+		}
+	});
+
+	it('returns every item when asked for more', () => {
+		const sample = sampleDistinct(items, 500, DISTRIBUTION_PROFILES.zipf);
+		assert.deepEqual(sample, items);
+	});
+
+	it('favours the popular items under zipf', () => {
+		faker.seed(7);
+		const timesPicked = new Map();
+		for (let run = 0; run < 200; run++) {
+			// One popularity ranking for every run: weight by id instead
+			for (const item of sampleDistinct(items, 10, DISTRIBUTION_PROFILES.zipf, {
+				weight: (id) => (id < 10 ? 100 : 1),
+			})) {
+				timesPicked.set(item, (timesPicked.get(item) ?? 0) + 1);
+			}
+		}
+		const heavy = items
+			.filter((id) => id < 10)
+			.reduce((sum, id) => sum + (timesPicked.get(id) ?? 0), 0);
+		// 10 of 200 items, but with 100 times the weight they take most picks
+		assert.ok(heavy > 200 * 10 * 0.5, `heavy items picked ${heavy} times`);
+	});
+});
@@ -0,0 +1,130 @@
+// POST /query: which statements it lets through, and what the playground
+// role keeps a statement from doing once it is through. Runs against
+// TEST_DATABASE_URL, which must be migrated, or without it on a freshly
+// migrated in-memory PGlite database, where /query refuses to run anything
+// and the tests that need it to are skipped. It only reads.
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { after, before, describe, it } from 'node:test';
+
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || 'pglite:memory';
+const { dbClient, isEmbedded } = await import('../src/db.mjs');
+const { createApp } = await import('../src/api/app.mjs');
+
+const NEEDS_SERVER =
+	'/query needs a server: set TEST_DATABASE_URL to a migrated PostgreSQL server to run it';
+
+let server;
+let baseUrl;
+
+before(async () => {
+	if (isEmbedded) {
+		const { migrateUp } = await import('../src/migrate.mjs');
+		await migrateUp();
+	}
+	server = createApp().listen(0);
+	await once(server, 'listening');
+	baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+	server.close();
+	await dbClient.end();
+});
+
+async function postQuery(body) {
+	const response = await fetch(`${baseUrl}/query`, {
+		method: 'POST',
+		headers: { 'content-type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+	return { status: response.status, body: await response.json() };
+}
+
+describe('POST /query', () => {
+	it('runs the statements a query can start with', async (t) => {
+		if (isEmbedded) return t.skip(NEEDS_SERVER);
+		for (const sql of [
+			'SELECT 1',
+			'  -- a comment\n/* and /* another */ */ (SELECT 1) UNION (SELECT 2)',
+			'WITH one AS (SELECT 1) SELECT * FROM one',
+			'VALUES (1), (2)',
+			'TABLE users',
+			'EXPLAIN SELECT * FROM users',
+		]) {
+			const { status, body } = await postQuery({ sql });
+			assert.equal(status, 200, `${sql}: ${body.error}`);
+		}
+	});
+
+	it('rejects anything else before it reaches the database', async () => {
+		for (const sql of [
+			"COPY (SELECT 1) TO '/tmp/playground.txt'",
+			"COPY users TO PROGRAM 'id'",
+			'INSERT INTO skills (name) VALUES ($$x$$)',
+			'SET statement_timeout = 0',
+			'DO $$ BEGIN END $$',
+			'"users"',
+		]) {
+			const { status, body } = await postQuery({ sql });
+			assert.equal(status, 400, sql);
+			assert.match(
+				body.error,
+				/must be a SELECT, WITH, VALUES, TABLE or EXPLAIN/
+			);
+		}
+	});
+
+	it('rejects anything but exactly one statement', async () => {
+		for (const [sql, error] of [
+			['SELECT 1; SELECT 2', /exactly one statement, got 2/],
+			['-- only a comment', /exactly one statement, got 0/],
+			["SELECT 'unterminated", /Unterminated string/],
+		]) {
+			const { status, body } = await postQuery({ sql });
+			assert.equal(status, 400, sql);
+			assert.match(body.error, error, sql);
+		}
+	});
+
+	it('runs the statement as the playground role', async (t) => {
+		if (isEmbedded) return t.skip(NEEDS_SERVER);
+		const { body } = await postQuery({ sql: 'SELECT current_user' });
+		assert.deepEqual(body.rows, [['playground_ro']]);
+
+		const denied = await postQuery({
+			sql: "SELECT pg_read_file('/etc/hostname')",
+		});
+		assert.equal(denied.status, 400);
+		assert.match(denied.body.error, /permission denied/);
+	});
+
+	it('refuses to run anything on the embedded database', async (t) => {
+		if (!isEmbedded) return t.skip('runs on the embedded database only');
+		const { status, body } = await postQuery({ sql: 'SELECT 1' });
+		assert.equal(status, 501);
+		assert.match(body.error, /needs a PostgreSQL server/);
+	});
+});
+
+describe('playground role', () => {
+	it('can read the tables but not write them or files', async () => {
+		const client = await dbClient.connect();
+		try {
+			await client.query('BEGIN');
+			await client.query('SET LOCAL ROLE playground_ro');
+			await client.query('SAVEPOINT ok');
+			await client.query('SELECT count(*) FROM users');
+			for (const sql of [
+				"COPY (SELECT 1) TO '/tmp/playground.txt'",
+				"INSERT INTO skills (name) VALUES ('x')",
+			]) {
+				await assert.rejects(client.query(sql), /permission denied/, sql);
+				await client.query('ROLLBACK TO SAVEPOINT ok');
+			}
+		} finally {
+			await client.query('ROLLBACK');
+			client.release();
+		}
+	});
+});
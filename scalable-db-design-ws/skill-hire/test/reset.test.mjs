@@ -0,0 +1,52 @@
+// truncateAll() and the refresh after it on an in-memory PGlite database,
+// fully migrated and with the last migrations reverted
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+process.env.DATABASE_URL = 'pglite:memory';
+const { dbClient } = await import('../src/db.mjs');
+const { migrateDown, migrateUp } = await import('../src/migrate.mjs');
+const { truncateAll } = await import('../src/reset.mjs');
+const { refreshTopFreelancers } = await import('../src/views.mjs');
+
+before(async () => {
+	await migrateUp();
+});
+
+after(async () => {
+	await dbClient.end();
+});
+
+async function countUsers() {
+	const result = await dbClient.query(
+		'SELECT COUNT(*)::int AS count FROM users'
+	);
+	return result.rows[0].count;
+}
+
+async function insertUser() {
+	await dbClient.query(`
+		INSERT INTO users (email, password, user_type)
+		VALUES ('reset@example.com', 'x', 'client')
+	`);
+}
+
+describe('reset', () => {
+	it('truncates every table on a migrated database', async () => {
+		await insertUser();
+		await truncateAll();
+		assert.equal(await countUsers(), 0);
+		assert.notEqual(await refreshTopFreelancers({ requireLog: false }), null);
+	});
+
+	it('skips the tables and log that pending migrations would create', async () => {
+		// Reverts 9-playground-role and 8-top-freelancers-refresh
+		await migrateDown(2);
+		await insertUser();
+		await truncateAll();
+		assert.equal(await countUsers(), 0);
+
+		assert.equal(await refreshTopFreelancers({ requireLog: false }), null);
+		await assert.rejects(refreshTopFreelancers(), /migrate up/);
+	});
+});
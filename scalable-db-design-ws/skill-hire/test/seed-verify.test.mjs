@@ -0,0 +1,34 @@
+// Seeds a fresh database the way `skill-hire seed --seed 42` does and runs
+// every `skill-hire verify` check against it, so the generators and the
+// invariants they must satisfy can't drift apart. Always uses an in-memory
+// PGlite database, never DATABASE_URL: seeding writes thousands of rows.
+import assert from 'node:assert/strict';
+import { after, before, it } from 'node:test';
+
+process.env.DATABASE_URL = 'pglite:memory';
+const { dbClient } = await import('../src/db.mjs');
+const { migrateUp } = await import('../src/migrate.mjs');
+const { parseSeedOptions, seed } = await import('../src/commands/seed.mjs');
+const { checkInvariants } = await import('../src/verify.mjs');
+
+before(async () => {
+	await migrateUp();
+});
+
+after(async () => {
+	await dbClient.end();
+});
+
+it('seeds data that passes every verify check', async (t) => {
+	// The seeders report every stage; keep the test output readable
+	t.mock.method(console, 'log', () => {});
+	await seed(parseSeedOptions(['--seed', '42']));
+
+	for (const { name, violations } of await checkInvariants()) {
+		assert.deepEqual(
+			violations,
+			[],
+			`${name} has ${violations.length} violating rows`
+		);
+	}
+});
@@ -0,0 +1,102 @@
+// The statement splitter and keyword reader behind POST /query, on the
+// Postgres lexing that practice/test/sql.test.js checks for its copy
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { leadingKeyword, splitStatements } from '../src/utils/sql.mjs';
+
+describe('splitStatements', () => {
+	it('splits on semicolons and drops empty statements', () => {
+		assert.deepEqual(splitStatements(' SELECT 1 ;; SELECT 2;\n'), [
+			'SELECT 1',
+			'SELECT 2',
+		]);
+		assert.deepEqual(splitStatements('  ;  -- nothing\n /* here */ ;'), []);
+	});
+
+	it('keeps semicolons inside strings and quoted identifiers', () => {
+		assert.deepEqual(splitStatements(`SELECT 'a;b', 'it''s;' AS "x;""y"`), [
+			`SELECT 'a;b', 'it''s;' AS "x;""y"`,
+		]);
+	});
+
+	it('keeps semicolons inside comments', () => {
+		assert.deepEqual(splitStatements('SELECT 1 -- ; DROP TABLE users\n'), [
+			'SELECT 1 -- ; DROP TABLE users',
+		]);
+		assert.deepEqual(splitStatements('SELECT /* ; */ 1'), ['SELECT /* ; */ 1']);
+	});
+
+	it('nests block comments', () => {
+		assert.deepEqual(
+			splitStatements('SELECT /* outer /* inner */ still; comment */ 1'),
+			['SELECT /* outer /* inner */ still; comment */ 1']
+		);
+	});
+
+	it('keeps semicolons inside dollar quotes', () => {
+		assert.deepEqual(
+			splitStatements('SELECT $$a;b$$; SELECT $tag$ $$; $tag$'),
+			['SELECT $$a;b$$', 'SELECT $tag$ $$; $tag$']
+		);
+		// $1 is a parameter, and a$b$ an identifier, not a quote
+		assert.deepEqual(splitStatements('SELECT $1; SELECT a$b$; SELECT 2'), [
+			'SELECT $1',
+			'SELECT a$b$',
+			'SELECT 2',
+		]);
+	});
+
+	it("reads backslash escapes in E'' strings only", () => {
+		assert.deepEqual(splitStatements(`SELECT E'\\'; DROP TABLE users; --'`), [
+			`SELECT E'\\'; DROP TABLE users; --'`,
+		]);
+		assert.deepEqual(splitStatements(`SELECT e'a\\\\'; SELECT 2`), [
+			`SELECT e'a\\\\'`,
+			'SELECT 2',
+		]);
+		// A plain string ends at the quote after a backslash
+		assert.deepEqual(splitStatements(`SELECT '\\'; SELECT 2`), [
+			`SELECT '\\'`,
+			'SELECT 2',
+		]);
+		// ...and so does one after an identifier ending in e
+		assert.deepEqual(splitStatements(`SELECT name'\\'; SELECT 2`), [
+			`SELECT name'\\'`,
+			'SELECT 2',
+		]);
+	});
+
+	it('throws on unterminated input', () => {
+		for (const [sql, what] of [
+			["SELECT 'abc", /Unterminated string starting at offset 7/],
+			['SELECT "abc', /Unterminated quoted identifier/],
+			["SELECT E'abc\\'", /Unterminated string/],
+			['SELECT /* /* */', /Unterminated block comment/],
+			['SELECT $x$ abc $$', /Unterminated dollar-quoted string/],
+		]) {
+			assert.throws(() => splitStatements(sql), SyntaxError, sql);
+			assert.throws(() => splitStatements(sql), what, sql);
+		}
+	});
+});
+
+describe('leadingKeyword', () => {
+	it('skips whitespace, comments and parentheses', () => {
+		assert.equal(leadingKeyword('select 1'), 'SELECT');
+		assert.equal(
+			leadingKeyword('-- a\n/* b /* c */ */ ((with x AS (SELECT 1) TABLE x))'),
+			'WITH'
+		);
+	});
+
+	it('returns null for anything but a keyword', () => {
+		assert.equal(leadingKeyword('"users"'), null);
+		assert.equal(leadingKeyword('$$x$$'), null);
+		assert.equal(leadingKeyword(''), null);
+	});
+
+	it('reads the whole word', () => {
+		assert.equal(leadingKeyword('SELECTED'), 'SELECTED');
+		assert.equal(leadingKeyword('table_1'), 'TABLE_1');
+	});
+});